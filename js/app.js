@@ -14,14 +14,38 @@
             games: SITE_CONFIG.urls?.games || "https://gist.githubusercontent.com/ryanduncuft/a24915ce0cace4ce24e8eee2e4140caa/raw/reflex_games.json",
             supportArticles: SITE_CONFIG.urls?.supportArticles || "https://gist.githubusercontent.com/ryanduncuft/3308af53408db611254490f5c0b8611f/raw/reflex-support.json",
         },
+        version: SITE_CONFIG.version || "v2.0.0",
+        endpoints: {
+            supportTicket: SITE_CONFIG.endpoints?.supportTicket || "/api/support-ticket",
+            supportFeedback: SITE_CONFIG.endpoints?.supportFeedback || "/api/support-feedback",
+            newsletter: SITE_CONFIG.endpoints?.newsletter || "/api/newsletter",
+        },
         siteUrl: SITE_CONFIG.urls?.site || "https://reflexinteractive.com",
         logo: SITE_CONFIG.urls?.logo || "https://res.cloudinary.com/dvju1xiaw/image/upload/q_auto,f_auto/v1778532761/Reflex_Interactive_Logo_no_back_srtf76.png",
         locale: SITE_CONFIG.locale || "en-GB",
+        locales: SITE_CONFIG.locales || { [SITE_CONFIG.locale || "en-GB"]: "English" },
         defaultCurrency: SITE_CONFIG.defaultCurrency || "GBP",
+        defaultCountry: SITE_CONFIG.defaultCountry || "GB",
+        regions: SITE_CONFIG.regions || { GB: { label: "United Kingdom", currency: "GBP" } },
         launcherRuntime: SITE_CONFIG.launcherRuntime || "win-x64",
+        cache: {
+            name: SITE_CONFIG.cache?.name || "reflex-content-v1",
+            ttl: {
+                games: (SITE_CONFIG.cache?.ttlMinutes?.games ?? 60) * 60000,
+                news: (SITE_CONFIG.cache?.ttlMinutes?.news ?? 15) * 60000,
+                supportArticles: (SITE_CONFIG.cache?.ttlMinutes?.supportArticles ?? 60) * 60000,
+            },
+        },
+        routes: {
+            games: SITE_CONFIG.routes?.games || "/games",
+            gameDetails: SITE_CONFIG.routes?.gameDetails || "/game-details",
+            newswire: SITE_CONFIG.routes?.newswire || "/newswire",
+            newswireDetails: SITE_CONFIG.routes?.newswireDetails || "/newswire-details",
+        },
         revealDelay: SITE_CONFIG.ui?.revealDelay || 70,
         navScrollY: SITE_CONFIG.ui?.navScrollY || 24,
         railRatio: SITE_CONFIG.ui?.railRatio || 0.86,
+        newsPageSize: SITE_CONFIG.ui?.newsPageSize || 9,
         subdomains: {
             support: SITE_CONFIG.urls?.support || "https://support.reflexinteractive.com/",
             careers: SITE_CONFIG.urls?.careers || "https://careers.reflexinteractive.com/",
@@ -31,13 +55,16 @@
             versionUrl: SITE_CONFIG.urls?.launcherVersion || "https://cdn.reflexinteractive.com/launcher-files/version.json",
         },
         localRoutes: {
+            "/": "/index.html",
             "/about": "/about.html",
             "/careers": "/careers.html",
             "/game-details": "/game-details.html",
             "/games": "/games.html",
+            "/launcher": "/launcher.html",
             "/newswire": "/newswire.html",
             "/newswire-details": "/newswire-details.html",
             "/privacy": "/privacy.html",
+            "/search": "/search.html",
             "/support": "/support.html",
             "/tos": "/tos.html",
         },
@@ -45,7 +72,13 @@
 
     const state = {
         cache: new Map(),
+        quarantine: {},
+        errors: [],
         revealObserver: null,
+        shells: new Map(),
+        navigation: 0,
+        page: "",
+        locale: "",
         supportHost: window.location.hostname.startsWith("support."),
         support: {
             articles: [],
@@ -54,6 +87,17 @@
             selectedGame: "",
             selectedGameTitle: "",
             query: "",
+            index: null,
+            diagnostics: null,
+            reads: new Map(),
+            suggestTimer: 0,
+            suggestKey: "",
+        },
+        gallery: {
+            items: [],
+            index: -1,
+            opener: null,
+            touchX: null,
         },
     };
 
@@ -77,6 +121,164 @@
             const node = dom.qs('link[rel="canonical"]');
             if (node && href) node.setAttribute("href", href);
         },
+
+        setAlternates: (links) => {
+            const canonical = dom.qs('link[rel="canonical"]');
+            if (!canonical) return;
+            dom.qsa('link[rel="alternate"][hreflang]').forEach((node) => node.remove());
+            canonical.after(...links.map(({ hreflang, href }) => Object.assign(document.createElement("link"), { rel: "alternate", hreflang, href })));
+        },
+    };
+
+    const i18n = {
+        storageKey: "reflex-locale",
+        messages: window.REFLEX_MESSAGES || {},
+
+        // The configured locale for a language tag: an exact match first, then the first one sharing
+        // its language, so "fr" and "fr-CA" both land on "fr-FR".
+        match: (tag) => {
+            const wanted = String(tag || "").trim().toLowerCase();
+            if (!wanted) return "";
+            const locales = Object.keys(CONFIG.locales);
+            return locales.find((locale) => locale.toLowerCase() === wanted)
+                || locales.find((locale) => locale.split("-")[0].toLowerCase() === wanted.split("-")[0])
+                || "";
+        },
+
+        // A shared ?lang= link wins, then a saved choice, then the browser's languages in order of preference.
+        locale: () => {
+            if (state.locale) return state.locale;
+
+            let saved = "";
+            try {
+                saved = localStorage.getItem(i18n.storageKey) || "";
+            } catch {
+                saved = "";
+            }
+
+            const requested = new URLSearchParams(window.location.search).get("lang");
+            state.locale = [requested, saved, ...(navigator.languages || []), navigator.language].map(i18n.match).find(Boolean) || CONFIG.locale;
+            return state.locale;
+        },
+
+        setLocale: (locale = "") => {
+            try {
+                if (CONFIG.locales[locale]) localStorage.setItem(i18n.storageKey, locale);
+                else localStorage.removeItem(i18n.storageKey);
+            } catch (error) {
+                console.warn("[I18n] Language choice could not be saved", error);
+            }
+            state.locale = "";
+        },
+
+        fallbacks: (locale = i18n.locale()) => [...new Set([locale, CONFIG.locale])],
+
+        t: (key, params = {}) => {
+            const locale = i18n.fallbacks().find((tag) => i18n.messages[tag]?.[key] != null);
+            if (!locale) console.warn(`[I18n] Missing message "${key}"`);
+
+            let message = locale ? i18n.messages[locale][key] : key;
+            if (typeof message === "object") message = message[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? message.other;
+            return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+        },
+
+        // Feed fields may be plain strings or objects keyed by language tag, e.g.
+        // { "en-GB": "Patch notes", "fr-FR": "Notes de version" }. Region codes and runtime ids never match.
+        localized: (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value)
+            && Object.keys(value).length > 0
+            && Object.keys(value).every((key) => /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-[A-Za-z]{2}|-\d{3})?$/.test(key)),
+
+        pick: (value, locale = i18n.locale()) => {
+            if (!i18n.localized(value)) return value;
+            const keys = Object.keys(value);
+            const key = i18n.fallbacks(locale)
+                .flatMap((tag) => [tag, tag.split("-")[0]])
+                .map((tag) => keys.find((item) => item.toLowerCase() === tag.toLowerCase()))
+                .find(Boolean);
+            return value[key ?? keys[0]];
+        },
+
+        // Only the default locale is served at its own URL; other languages are applied in the browser,
+        // so advertising them as hreflang alternates would point crawlers at the same English HTML.
+        // Per-locale URLs belong here once pages are pre-rendered in each language.
+        alternates: (url) => [
+            { hreflang: CONFIG.locale.toLowerCase(), href: url },
+            { hreflang: "x-default", href: url },
+        ],
+    };
+
+    const dates = {
+        // Recent items read better as "3 days ago"; anything older gets the full localised date.
+        relativeDays: 7,
+
+        // Feeds use ISO dates ("2026-05-22"), ISO timestamps and the odd hand-typed UK date
+        // ("22/05/2026"). Calendar dates are read as local midnight so they never shift a day west of UTC.
+        parse: (value) => {
+            if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+            if (typeof value === "number") return Number.isFinite(value) ? new Date(value) : null;
+
+            const text = String(value ?? "").trim();
+            if (!text) return null;
+
+            const calendar = (year, month, day) => {
+                const date = new Date(Number(year), Number(month) - 1, Number(day));
+                return date.getMonth() === Number(month) - 1 && date.getDate() === Number(day) ? date : null;
+            };
+
+            let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            if (match) return calendar(match[1], match[2], match[3]);
+            match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+            if (match) return calendar(match[3], match[2], match[1]);
+
+            const time = Date.parse(text);
+            return Number.isNaN(time) ? null : new Date(time);
+        },
+
+        // Calendar dates keep their "YYYY-MM-DD" form; anything with a time of day becomes a full ISO timestamp.
+        iso: (value) => {
+            const date = dates.parse(value);
+            if (!date) return "";
+            if (typeof value === "string" && !/\d[T ]\d{1,2}:\d{2}/.test(value)) {
+                return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part, index) => String(part).padStart(index ? 2 : 4, "0")).join("-");
+            }
+            return date.toISOString();
+        },
+
+        format: (value, options = { dateStyle: "long" }) => {
+            const date = dates.parse(value);
+            return date ? new Intl.DateTimeFormat(i18n.locale(), options).format(date) : String(value ?? "");
+        },
+
+        relative: (value, now = Date.now()) => {
+            const date = dates.parse(value);
+            if (!date) return "";
+
+            const format = new Intl.RelativeTimeFormat(i18n.locale(), { numeric: "auto" });
+            const hasTime = typeof value !== "string" || /\d[T ]\d{1,2}:\d{2}/.test(value);
+            const minutes = Math.round((date.getTime() - now) / 60000);
+            if (hasTime && Math.abs(minutes) < 60) return format.format(minutes, "minute");
+            if (hasTime && Math.abs(minutes) < 1440) return format.format(Math.round(minutes / 60), "hour");
+
+            const today = new Date(now);
+            const days = Math.round((new Date(date).setHours(0, 0, 0, 0) - today.setHours(0, 0, 0, 0)) / 86400000);
+            return Math.abs(days) <= dates.relativeDays ? format.format(days, "day") : "";
+        },
+
+        label: (value, now = Date.now()) => dates.relative(value, now) || dates.format(value),
+
+        // A <time> element with a machine-readable value and the full date on hover; unparseable values are
+        // shown as written, without a datetime attribute that would mislead parsers.
+        element: (value, { className = "", fallback = "" } = {}) => {
+            const classes = className ? ` class="${utils.escape(className)}"` : "";
+            const iso = dates.iso(value);
+            if (!iso) return `<span${classes}>${utils.escape(value || fallback)}</span>`;
+            return `<time${classes} datetime="${iso}" title="${utils.escape(dates.format(value))}">${utils.escape(dates.label(value))}</time>`;
+        },
+
+        // The date a record sorts by: its publish date, then its release date, then its last update.
+        timestamp: (item = {}) => [item.date, item.release_date, item.updated]
+            .map((value) => dates.parse(value)?.getTime())
+            .find((value) => value !== undefined) ?? null,
     };
 
     const utils = {
@@ -90,16 +292,42 @@
 
         clampDescription: (value = "") => String(value).replace(/\s+/g, " ").trim().slice(0, 158),
 
-        normalizeMedia: (url = "", width = 1200) => {
+        // Cloudinary URLs keep their own crops and effects, but stored quality, format and size params
+        // ("q_auto,f_auto,w_1800", "c_fill,w_500,h_300") are swapped for ours, so no rendition is scaled up
+        // from a smaller stored width. A stored width and height survive as the aspect ratio they describe.
+        normalizeMedia: (url = "", width = 1200, transform = "") => {
             if (!url) return "";
-            if (url.includes("cloudinary.com") && !url.includes("q_auto")) {
-                return url.replace("/upload/", `/upload/q_auto,f_auto,w_${width}/`);
+            const cloudinary = url.match(/^(https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/)(.+)$/i);
+            if (cloudinary) {
+                const parts = cloudinary[2].split("/");
+                const kept = [];
+                while (parts.length > 1 && /^(a|ar|b|bo|c|co|dpr|e|f|fl|g|h|o|q|r|t|w|x|y|z)_/.test(parts[0])) {
+                    const params = parts.shift().split(",");
+                    const size = (name) => params.find((param) => new RegExp(`^${name}_\\d+$`).test(param))?.slice(2);
+                    const rest = params.filter((param) => !/^(q|f|w|h)_/.test(param));
+                    if (size("w") && size("h") && !rest.some((param) => param.startsWith("ar_"))) rest.push(`ar_${size("w")}:${size("h")}`);
+                    if (rest.length) kept.push(rest.join(","));
+                }
+                return `${cloudinary[1]}${[...kept, [transform, "q_auto,f_auto", `w_${width}`].filter(Boolean).join(","), ...parts].join("/")}`;
             }
             if (/^https?:\/\//i.test(url)) return url;
             const clean = url.replace(/\\/g, "/");
             return clean.startsWith("/") ? clean : `/${clean}`;
         },
 
+        youtubeId: (url = "") => {
+            try {
+                const parsed = new URL(url);
+                const host = parsed.hostname.replace(/^(www|m)\./, "");
+                let id = "";
+                if (host === "youtu.be") id = parsed.pathname.slice(1);
+                else if (/^youtube(-nocookie)?\.com$/.test(host)) id = parsed.searchParams.get("v") || parsed.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/)?.[1] || "";
+                return /^[\w-]{11}$/.test(id) ? id : "";
+            } catch {
+                return "";
+            }
+        },
+
         isLocal: () => {
             const host = window.location.hostname;
             return host === "localhost" || host === "127.0.0.1" || host === "" || host.endsWith(".local");
@@ -107,15 +335,49 @@
 
         isReflexHost: () => window.location.hostname === "reflexinteractive.com" || window.location.hostname.endsWith(".reflexinteractive.com"),
 
+        slugify: (value = "") => String(value)
+            .normalize("NFKD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/&/g, " and ")
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, ""),
+
         routeHref: (path) => {
             if (!utils.isLocal()) return path;
             const url = new URL(path, window.location.origin);
+            const detail = utils.detailRoute(url.pathname);
+            if (detail) return `${CONFIG.localRoutes[detail.route]}?id=${encodeURIComponent(detail.id)}${url.hash}`;
             const localPath = CONFIG.localRoutes[url.pathname];
             if (!localPath) return path;
             return `${localPath}${url.search}${url.hash}`;
         },
 
-        detailHref: (page, id) => utils.routeHref(`/${page}?id=${encodeURIComponent(id)}`),
+        detailRoute: (pathname = "") => {
+            const [, base = "", slug = ""] = pathname.match(/^(\/[^/]+)\/([^/]+?)\/?$/) || [];
+            const route = {
+                [CONFIG.routes.games]: CONFIG.routes.gameDetails,
+                [CONFIG.routes.newswire]: CONFIG.routes.newswireDetails,
+            }[base];
+            return route && slug ? { route, id: decodeURIComponent(slug) } : null;
+        },
+
+        detailPath: (page, item = {}) => {
+            const base = {
+                "game-details": CONFIG.routes.games,
+                "newswire-details": CONFIG.routes.newswire,
+            }[page];
+            if (!base) return `/${page}?id=${encodeURIComponent(item.id)}`;
+            return `${base}/${encodeURIComponent(item.slug || item.id)}`;
+        },
+
+        detailHref: (page, item) => utils.routeHref(utils.detailPath(page, item)),
+
+        canonicalizeUrl: (page, item) => {
+            const target = new URL(utils.detailHref(page, item), window.location.origin);
+            if (target.pathname === window.location.pathname && target.search === window.location.search) return;
+            window.history.replaceState(window.history.state, "", `${target.pathname}${target.search}${window.location.hash}`);
+        },
 
         linkedDetailId: (game = {}) => {
             if (!game.link) return "";
@@ -128,27 +390,231 @@
 
         gameMatchesId: (game = {}, id = "") => {
             const value = String(id);
-            if (String(game.id) === value || String(game.numeric_id) === value) return true;
+            if (game.id === value || game.numeric_id === value || game.slug === value.toLowerCase()) return true;
             if (utils.linkedDetailId(game) === value) return true;
-            if (Array.isArray(game.aliases) && game.aliases.map(String).includes(value)) return true;
+            if (game.aliases.includes(value)) return true;
             return false;
         },
 
+        articleMatchesId: (article = {}, id = "") => article.id === String(id) || article.slug === String(id).toLowerCase(),
+
+        newsFilters: (search = window.location.search) => {
+            const params = new URLSearchParams(search);
+            return {
+                tag: utils.slugify(params.get("tag") || ""),
+                category: utils.slugify(params.get("category") || ""),
+                game: params.get("game") || "",
+                page: Math.max(1, Number.parseInt(params.get("page"), 10) || 1),
+            };
+        },
+
+        newsHref: (filters = {}) => {
+            const params = new URLSearchParams();
+            ["tag", "category", "game"].forEach((key) => {
+                if (filters[key]) params.set(key, filters[key]);
+            });
+            if (filters.page > 1) params.set("page", filters.page);
+            const query = params.toString();
+            return `${window.location.pathname}${query ? `?${query}` : ""}`;
+        },
+
+        newsView: (articles = [], filters = {}) => {
+            const matches = articles.filter((article) => (!filters.tag || article.tags.includes(filters.tag))
+                && (!filters.category || article.category === filters.category)
+                && (!filters.game || article.game_id === filters.game));
+            const pages = Math.max(1, Math.ceil(matches.length / CONFIG.newsPageSize));
+            const page = Math.min(filters.page || 1, pages);
+            const start = (page - 1) * CONFIG.newsPageSize;
+
+            return {
+                filters: { ...filters, page },
+                total: matches.length,
+                page,
+                pages,
+                start,
+                items: matches.slice(start, start + CONFIG.newsPageSize),
+            };
+        },
+
         isMobileDevice: () => {
             const ua = navigator.userAgent.toLowerCase();
             return /android|iphone|ipad|ipod|iemobile|mobile|tablet/.test(ua);
         },
 
-        currentLauncherRuntime: () => {
+        launcherPlatforms: {
+            "win-x64": { label: "Windows", os: "Windows" },
+            "win-arm64": { label: "Windows on Arm", os: "Windows", fallback: "win-x64" },
+            "linux-x64": { label: "Linux", os: "Linux" },
+            "osx-arm64": { label: "macOS (Apple silicon)", os: "macOS" },
+            "osx-x64": { label: "macOS (Intel)", os: "macOS" },
+        },
+
+        launcherPlatform: (runtime = "") => utils.launcherPlatforms[runtime] || { label: runtime, os: runtime },
+
+        launcherFormatLabel: (format = "") => ({
+            msi: "Installer (.msi)",
+            exe: "Installer (.exe)",
+            appimage: "AppImage",
+            deb: "Debian package (.deb)",
+            rpm: "RPM package (.rpm)",
+            dmg: "Disk image (.dmg)",
+            pkg: "Installer (.pkg)",
+            zip: "Archive (.zip)",
+        }[format] || format.toUpperCase()),
+
+        currentLauncherRuntime: async () => {
             if (utils.isMobileDevice()) return "";
 
             const ua = navigator.userAgent.toLowerCase();
             const uaDataPlatform = navigator.userAgentData?.platform || "";
             const platform = `${uaDataPlatform} ${navigator.platform || ""}`.toLowerCase();
+            const arm = /\barm|aarch64/.test(`${ua} ${platform}`);
+
+            if (ua.includes("win") || platform.includes("win")) return arm ? "win-arm64" : "win-x64";
+            // Every Mac browser reports an Intel Mac in its user agent. Only Client Hints can tell the two
+            // apart; without them no Mac build is picked and the visitor chooses from the full list.
+            if (ua.includes("mac os") || platform.includes("mac")) {
+                const hints = await navigator.userAgentData?.getHighEntropyValues?.(["architecture"]).catch(() => null);
+                return { arm: "osx-arm64", x86: "osx-x64" }[hints?.architecture] || "";
+            }
+            if (ua.includes("linux") || platform.includes("linux")) return arm ? "linux-arm64" : "linux-x64";
+            return "";
+        },
+
+        launcherPackageFor: (packages = [], runtime = "") => {
+            if (!runtime) return null;
+            const fallback = utils.launcherPlatform(runtime).fallback;
+            return packages.find((item) => item.runtime === runtime)
+                || (fallback && packages.find((item) => item.runtime === fallback))
+                || null;
+        },
+
+        fallbackLauncherPackageUrl: () => {
+            try {
+                return new URL("Reflex Interactive Launcher.msi", `${CONFIG.launcher.baseUrl.replace(/\/$/, "")}/`).toString();
+            } catch {
+                return "";
+            }
+        },
+
+        // Both shells get the file name single-quoted so nothing in it is expanded.
+        verifyCommands: (item = {}) => {
+            if (!item.sha256) return [];
+            const os = utils.launcherPlatform(item.runtime).os;
+
+            if (os === "Windows") {
+                const file = item.filename.replace(/'/g, "''");
+                return [
+                    { label: "PowerShell", command: `(Get-FileHash -Algorithm SHA256 '.\\${file}').Hash -eq '${item.sha256.toUpperCase()}'` },
+                    ...(item.signer ? [{ label: "PowerShell signature", command: `(Get-AuthenticodeSignature '.\\${file}').SignerCertificate.Subject` }] : []),
+                ];
+            }
 
-            if (!ua.includes("win") && !platform.includes("win")) return "";
-            if (ua.includes("arm") || platform.includes("arm")) return "";
-            return CONFIG.launcherRuntime;
+            const file = item.filename.replace(/'/g, "'\\''");
+            return [{ label: os === "macOS" ? "Terminal" : "sha256sum", command: `echo '${item.sha256}  ${file}' | ${os === "macOS" ? "shasum -a 256" : "sha256sum"} --check` }];
+        },
+
+        sha256: async (file) => {
+            const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+            return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+        },
+
+        accessStates: ["free", "paid", "early-access", "coming-soon", "wishlist", "external", "unavailable"],
+
+        regionKey: "reflex-region",
+
+        // A saved choice wins; otherwise the first browser language with a configured region, where
+        // Intl.Locale fills in the likely region for bare languages such as "de".
+        region: () => {
+            try {
+                const saved = localStorage.getItem(utils.regionKey);
+                if (saved && CONFIG.regions[saved]) return saved;
+            } catch {
+                // Storage can be blocked; fall through to detection.
+            }
+
+            const languages = [...(navigator.languages || []), navigator.language].filter(Boolean);
+            for (const language of languages) {
+                try {
+                    const region = new Intl.Locale(language).maximize().region;
+                    if (CONFIG.regions[region]) return region;
+                } catch {
+                    // Ignore malformed language tags.
+                }
+            }
+            return CONFIG.defaultCountry;
+        },
+
+        setRegion: (region = "") => {
+            try {
+                if (CONFIG.regions[region]) localStorage.setItem(utils.regionKey, region);
+                else localStorage.removeItem(utils.regionKey);
+            } catch (error) {
+                console.warn("[Region] Choice could not be saved", error);
+            }
+        },
+
+        currency: () => CONFIG.regions[utils.region()]?.currency || CONFIG.defaultCurrency,
+
+        formatPrice: (amount, currency = CONFIG.defaultCurrency) => {
+            if (amount === 0) return i18n.t("access.priceFree");
+            try {
+                return new Intl.NumberFormat(i18n.locale(), { style: "currency", currency }).format(amount);
+            } catch {
+                return `${amount} ${currency}`;
+            }
+        },
+
+        // One description of how a player gets a game, shared by the detail page CTA, its price label and
+        // the JSON-LD offer so the three can never disagree.
+        gameAccess: (game = {}) => {
+            const access = game.access || { status: "unavailable", prices: {}, url: "" };
+            const prices = access.status === "free" ? { [CONFIG.defaultCurrency]: 0 } : access.prices;
+            const currencies = Object.keys(prices);
+            // Show the visitor's currency when the feed has it, then the studio default, then anything listed.
+            const currency = [utils.currency(), CONFIG.defaultCurrency].find((code) => code in prices) || currencies[0] || "";
+            const price = currency ? utils.formatPrice(prices[currency], currency) : "";
+            const store = access.store || i18n.t("access.theStore");
+            const released = access.release_date ? dates.format(access.release_date) : "";
+            const offers = (availability, extra = {}) => currencies.map((code) => ({
+                "@type": "Offer",
+                price: prices[code],
+                priceCurrency: code,
+                availability,
+                url: access.url || `${CONFIG.siteUrl}${utils.detailPath("game-details", game)}`,
+                ...extra,
+            }));
+
+            switch (access.status) {
+                case "free":
+                    return { status: "free", currency, label: i18n.t("access.free"), cta: { text: i18n.t("access.playFree"), href: access.url || "/launcher" }, offers: offers("https://schema.org/InStock") };
+                case "paid":
+                    return { status: "paid", currency, label: price, cta: { text: i18n.t("access.buy", { price }), href: access.url }, offers: offers("https://schema.org/InStock") };
+                case "early-access":
+                    return { status: "early-access", currency, label: i18n.t("access.earlyAccess", { price }), cta: { text: i18n.t("access.joinEarlyAccess"), href: access.url }, offers: offers("https://schema.org/InStock") };
+                case "coming-soon":
+                    return {
+                        status: "coming-soon",
+                        currency,
+                        label: released ? i18n.t("access.comingOn", { date: released }) : i18n.t("access.comingSoon"),
+                        cta: access.url ? { text: i18n.t("access.wishlist"), href: access.url, external: true } : { text: i18n.t("access.comingSoon"), disabled: true },
+                        offers: offers("https://schema.org/PreOrder", dates.iso(access.release_date) ? { availabilityStarts: dates.iso(access.release_date) } : {}),
+                    };
+                case "wishlist":
+                    return { status: "wishlist", currency, label: i18n.t("access.wishlist"), cta: { text: i18n.t("access.wishlistOn", { store }), href: access.url, external: true }, offers: offers("https://schema.org/PreOrder") };
+                case "external":
+                    return { status: "external", currency, label: i18n.t(price ? "access.priceOn" : "access.availableOn", { price, store }), cta: { text: i18n.t("access.getOn", { store }), href: access.url, external: true }, offers: offers("https://schema.org/InStock") };
+                default:
+                    return { status: "unavailable", currency: "", label: i18n.t("access.unavailable"), cta: { text: i18n.t("access.currentlyUnavailable"), disabled: true }, offers: [] };
+            }
+        },
+
+        formatBytes: (bytes = 0) => {
+            if (!bytes) return "";
+            const units = ["B", "KB", "MB", "GB"];
+            const power = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+            const value = bytes / 1024 ** power;
+            return `${value.toFixed(power && value < 10 ? 1 : 0)} ${units[power]}`;
         },
 
         launcherPackageUrl: (packageInfo = {}) => {
@@ -165,105 +631,1399 @@
             }
         },
 
-        newestFirst: (items = []) => [...items].sort((a, b) => {
-            const at = Date.parse(a.date || a.release_date || a.updated || "");
-            const bt = Date.parse(b.date || b.release_date || b.updated || "");
-            if (Number.isNaN(at) || Number.isNaN(bt)) return 0;
-            return bt - at;
-        }),
+        // Undated records go last, in feed order, and are named in the console rather than quietly
+        // scrambling the sort.
+        newestFirst: (items = []) => {
+            const times = new Map(items.map((item) => [item, dates.timestamp(item)]));
+            const undated = items.filter((item) => times.get(item) === null);
+            if (undated.length) {
+                console.warn(`[Dates] ${undated.length} record(s) have no parseable date and are listed last:`, undated.map((item) => item.id ?? item.title));
+            }
+
+            return [...items].sort((a, b) => {
+                const at = times.get(a);
+                const bt = times.get(b);
+                if (at === null || bt === null) return (at === null) - (bt === null);
+                return bt - at;
+            });
+        },
+
+        parseJSON: (value, fallback = {}) => {
+            try {
+                return JSON.parse(value || "{}");
+            } catch {
+                return fallback;
+            }
+        },
+
+        throttle: (fn, wait = 80) => {
+            let last = 0;
+            return (...args) => {
+                const now = performance.now();
+                if (now - last < wait) return;
+                last = now;
+                fn(...args);
+            };
+        },
+
+        spinner: (id, show) => dom.id(id)?.classList.toggle("d-none", !show),
+
+        categoryLabel: (value = "general") => ({
+            technical: "Technical",
+            "bug-report": "Bug Report",
+            downloads: "Downloads",
+            general: "General",
+        }[value] || String(value).replace(/-/g, " ").replace(/\b\w/g, (char) => char.toUpperCase())),
+
+        // The subject a support ticket gets when only its category is known.
+        supportSubject: (category) => i18n.t("support.subject", { category: utils.categoryLabel(category) }),
+
+        articleText: (article = {}) => article.content
+            .map((block) => (block.type === "list" ? block.items.join(" ") : block.text))
+            .join(" "),
+
+        // Articles marked "all" or "general" apply to every game, so a game filter never hides them.
+        supportArticleMatches: (article = {}, { category = "", gameId = "" } = {}) => {
+            const matchesGame = !gameId || article.game_id === "all" || article.game_id === "general" || article.game_id === String(gameId);
+            const matchesCategory = !category || article.category === category;
+            return matchesGame && matchesCategory;
+        },
+
+        relatedSupportArticles: (article = {}, articles = [], limit = 3) => {
+            const tags = new Set(article.tags.map((tag) => tag.toLowerCase()));
+            return articles
+                .filter((item) => item.id !== article.id)
+                .map((item) => ({
+                    item,
+                    score: item.tags.filter((tag) => tags.has(tag.toLowerCase())).length * 2
+                        + (item.category === article.category ? 1 : 0)
+                        + (article.game_id !== "all" && item.game_id === article.game_id ? 2 : 0),
+                }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ item }) => item);
+        },
+    };
+
+    const media = {
+        // Rendition widths offered in every srcset; the browser picks one from `sizes` and the screen density.
+        widths: [320, 480, 720, 960, 1280, 1600, 1920],
+
+        // How wide each image slot is, matching the grid it sits in.
+        sizes: {
+            card: "(min-width: 992px) 33vw, (min-width: 768px) 50vw, 100vw",
+            supportCard: "(min-width: 992px) 33vw, (min-width: 576px) 50vw, 100vw",
+            navTile: "14rem",
+            featured: "(min-width: 992px) 42vw, 100vw",
+            cover: "(min-width: 992px) 25vw, 100vw",
+            article: "(min-width: 1400px) 1320px, 100vw",
+            hero: "100vw",
+        },
+
+        // Art-directed cuts. Hero art is wide, but on phones the hero is taller than it is wide.
+        crops: {
+            heroMobile: "c_fill,g_auto,ar_4:5",
+            cover: "c_fill,g_auto,ar_3:4",
+        },
+
+        // Only Cloudinary can resize, crop and blur on request; other hosts serve the one file they have.
+        responsive: (url = "") => /^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\//i.test(url),
+
+        srcset: (url = "", crop = "") => (media.responsive(url)
+            ? media.widths.map((width) => `${utils.normalizeMedia(url, width, crop)} ${width}w`).join(", ")
+            : ""),
+
+        // A tiny blurred rendition shown as the image's background until the real one has loaded.
+        placeholder: (url = "", crop = "") => (media.responsive(url) ? utils.normalizeMedia(url, 40, [crop, "e_blur:200"].filter(Boolean).join(",")) : ""),
+
+        // src/srcset/sizes for images that already exist in the page shell.
+        attrs: (url = "", { width = 1200, sizes = "100vw", crop = "" } = {}) => {
+            const srcset = media.srcset(url, crop);
+            return { src: utils.normalizeMedia(url, width, crop), srcset, sizes: srcset ? sizes : "" };
+        },
+
+        image: (url = "", { alt = "", width = 1200, height = 675, sizes = "100vw", crop = "", className = "", loading = "lazy", priority = false } = {}) => {
+            const { src, srcset } = media.attrs(url, { width, crop });
+            const placeholder = media.placeholder(url, crop);
+            const classes = [className, placeholder ? "media-lqip" : ""].filter(Boolean).join(" ");
+            return `<img src="${utils.escape(src)}"${srcset ? ` srcset="${utils.escape(srcset)}" sizes="${utils.escape(sizes)}"` : ""} alt="${utils.escape(alt)}" width="${width}" height="${height}"${classes ? ` class="${classes}"` : ""}${placeholder ? ` style="background-image: url('${utils.escape(placeholder)}')"` : ""} loading="${loading}" decoding="async"${priority ? ' fetchpriority="high"' : ""}>`;
+        },
+
+        // Each source swaps in a different crop at its breakpoint. Without Cloudinary there is nothing to
+        // crop, so the picture collapses to a plain <img>.
+        picture: (url = "", { sources = [], ...options } = {}) => {
+            if (!media.responsive(url) || !sources.length) return media.image(url, options);
+            return `<picture>${sources.map((source) => `<source media="${utils.escape(source.media)}" srcset="${utils.escape(media.srcset(url, source.crop))}" sizes="${utils.escape(source.sizes || options.sizes || "100vw")}"${source.width ? ` width="${source.width}" height="${source.height}"` : ""}>`).join("")}${media.image(url, options)}</picture>`;
+        },
+
+        // Load events don't bubble, so this runs in the capture phase; failed images drop the blur too.
+        loaded: (event) => {
+            if (event.target instanceof HTMLImageElement && event.target.classList.contains("media-lqip")) event.target.classList.add("is-loaded");
+        },
+
+        init: () => {
+            document.addEventListener("load", media.loaded, true);
+            document.addEventListener("error", media.loaded, true);
+            dom.qsa("img.media-lqip").filter((img) => img.complete).forEach((img) => img.classList.add("is-loaded"));
+        },
+    };
+
+    const markdown = {
+        patterns: {
+            fence: /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/,
+            heading: /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/,
+            rule: /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/,
+            quote: /^ {0,3}>\s?/,
+            // Ordered markers are capped at three digits so prose such as "2026. A big year" stays a paragraph.
+            item: /^( *)([-*+]|\d{1,3}[.)])\s+(.*)$/,
+            divider: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+        },
 
-        textToHTML: (value = "") => {
-            const normalized = String(value)
+        render: (source = "", { headingOffset = 1 } = {}) => {
+            const normalized = String(source)
                 .replace(/<br\s*\/?>/gi, "\n")
                 .replace(/&lt;br\s*\/?&gt;/gi, "\n")
-                .replace(/\r\n/g, "\n")
+                .replace(/\r\n?/g, "\n")
+                .replace(/\u0000/g, "")
                 .trim();
 
-            if (!normalized) return "";
+            return normalized ? markdown.blocks(normalized.split("\n"), headingOffset) : "";
+        },
 
-            return normalized
-                .split(/\n{2,}/)
-                .map((block) => `<p>${utils.escape(block).replace(/\n/g, "<br>")}</p>`)
-                .join("");
+        // As in GFM, the divider needs one cell per header cell, so "a | b" over a lone "-" stays text.
+        isTable: (lines, index) => lines[index].includes("|")
+            && markdown.patterns.divider.test(lines[index + 1] || "")
+            && markdown.cells(lines[index]).length === markdown.cells(lines[index + 1]).length,
+
+        // As in CommonMark, an ordered list only interrupts a paragraph when it starts at 1, so a wrapped
+        // line that happens to begin "12. " carries on the sentence above it.
+        startsBlock: (lines, index) => {
+            const { fence, heading, rule, quote, item } = markdown.patterns;
+            const line = lines[index];
+            const marker = line.match(item)?.[2] || "";
+            const list = Boolean(marker) && (!/\d/.test(marker) || Number.parseInt(marker, 10) === 1);
+            return fence.test(line) || heading.test(line) || rule.test(line) || quote.test(line) || list || markdown.isTable(lines, index);
         },
 
-        parseJSON: (value, fallback = {}) => {
+        blocks: (lines, headingOffset) => {
+            const { fence, heading, rule, quote, item } = markdown.patterns;
+            const html = [];
+            let index = 0;
+
+            while (index < lines.length) {
+                const line = lines[index];
+
+                if (!line.trim()) {
+                    index += 1;
+                    continue;
+                }
+
+                const open = line.match(fence);
+                if (open) {
+                    const body = [];
+                    index += 1;
+                    while (index < lines.length && !lines[index].trim().startsWith(open[1])) {
+                        body.push(lines[index]);
+                        index += 1;
+                    }
+                    index += 1;
+                    const language = open[2] ? ` class="language-${utils.escape(open[2])}"` : "";
+                    html.push(`<pre><code${language}>${utils.escape(body.join("\n"))}</code></pre>`);
+                    continue;
+                }
+
+                const title = line.match(heading);
+                if (title) {
+                    const level = Math.min(6, title[1].length + headingOffset);
+                    html.push(`<h${level}>${markdown.inline(title[2])}</h${level}>`);
+                    index += 1;
+                    continue;
+                }
+
+                if (rule.test(line)) {
+                    html.push("<hr>");
+                    index += 1;
+                    continue;
+                }
+
+                if (quote.test(line)) {
+                    const body = [];
+                    while (index < lines.length && quote.test(lines[index])) {
+                        body.push(lines[index].replace(quote, ""));
+                        index += 1;
+                    }
+                    html.push(`<blockquote>${markdown.blocks(body, headingOffset)}</blockquote>`);
+                    continue;
+                }
+
+                if (markdown.isTable(lines, index)) {
+                    const rows = [];
+                    const head = markdown.cells(line);
+                    const align = markdown.cells(lines[index + 1]).map((cell) => {
+                        if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+                        if (cell.endsWith(":")) return "end";
+                        if (cell.startsWith(":")) return "start";
+                        return "";
+                    });
+                    index += 2;
+                    while (index < lines.length && lines[index].trim() && lines[index].includes("|")) {
+                        rows.push(markdown.cells(lines[index]));
+                        index += 1;
+                    }
+
+                    const cell = (tag, value, column) => `<${tag}${align[column] ? ` class="text-${align[column]}"` : ""}>${markdown.inline(value)}</${tag}>`;
+                    html.push(`
+                        <div class="table-responsive">
+                            <table class="table table-dark table-sm">
+                                <thead><tr>${head.map((value, column) => cell("th", value, column)).join("")}</tr></thead>
+                                <tbody>${rows.map((row) => `<tr>${head.map((_, column) => cell("td", row[column] || "", column)).join("")}</tr>`).join("")}</tbody>
+                            </table>
+                        </div>
+                    `);
+                    continue;
+                }
+
+                if (item.test(line)) {
+                    const [list, next] = markdown.list(lines, index, headingOffset);
+                    html.push(list);
+                    index = next;
+                    continue;
+                }
+
+                const paragraph = [];
+                while (index < lines.length && lines[index].trim() && !(paragraph.length && markdown.startsBlock(lines, index))) {
+                    paragraph.push(lines[index]);
+                    index += 1;
+                }
+                html.push(`<p>${paragraph.map(markdown.inline).join("<br>")}</p>`);
+            }
+
+            return html.join("");
+        },
+
+        cells: (row) => row
+            .replace(/\\\|/g, "\u0001")
+            .trim()
+            .replace(/^\|/, "")
+            .replace(/\|$/, "")
+            .split("|")
+            .map((cell) => cell.trim().replace(/\u0001/g, "\\|")),
+
+        list: (lines, start, headingOffset) => {
+            const { item } = markdown.patterns;
+            const [, indent, marker] = lines[start].match(item);
+            const ordered = /\d/.test(marker);
+            const items = [];
+            let index = start;
+
+            while (index < lines.length) {
+                const line = lines[index];
+                const match = line.match(item);
+                const depth = line.match(/^ */)[0].length;
+
+                if (match && depth <= indent.length + 1) {
+                    if (/\d/.test(match[2]) !== ordered) break;
+                    items.push({ text: [match[3]], children: [], offset: depth + match[2].length + 1 });
+                    index += 1;
+                    continue;
+                }
+
+                if (!line.trim()) {
+                    const next = lines[index + 1] || "";
+                    const nextDepth = next.match(/^ */)[0].length;
+                    const sibling = item.test(next) && nextDepth <= indent.length + 1;
+                    if (!next.trim() || (nextDepth <= indent.length && !sibling)) break;
+                    index += 1;
+                    continue;
+                }
+
+                const current = items[items.length - 1];
+                if (depth > indent.length) {
+                    current.children.push(line.slice(Math.min(depth, current.offset)));
+                } else if (markdown.startsBlock(lines, index)) {
+                    break;
+                } else {
+                    current.text.push(line);
+                }
+                index += 1;
+            }
+
+            const first = Number.parseInt(marker, 10);
+            const tag = ordered ? "ol" : "ul";
+            const startAttr = ordered && first !== 1 ? ` start="${first}"` : "";
+            const body = items.map((entry) => {
+                const children = entry.children.length ? markdown.blocks(entry.children, headingOffset) : "";
+                return `<li>${entry.text.map(markdown.inline).join("<br>")}${children}</li>`;
+            }).join("");
+
+            return [`<${tag}${startAttr}>${body}</${tag}>`, index];
+        },
+
+        url: (value = "", image = false) => {
+            const url = String(value).replace(/[\u0000- \u007f]/g, "");
+            if (/^https?:/i.test(url)) return image ? utils.normalizeMedia(url, 1200) : url;
+            if (!image && /^mailto:/i.test(url)) return url;
+            if (/^[a-z][a-z0-9+.-]*:/i.test(url) || /^[/\\]{2}/.test(url)) return "";
+            if (image) return utils.normalizeMedia(url, 1200);
+            return url.startsWith("/") ? utils.routeHref(url) : url;
+        },
+
+        isExternal: (url) => {
+            if (!/^https?:/i.test(url)) return false;
             try {
-                return JSON.parse(value || "{}");
+                return new URL(url).origin !== new URL(CONFIG.siteUrl).origin;
             } catch {
+                return true;
+            }
+        },
+
+        inline: (value = "") => {
+            const stash = [];
+            const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+            const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, position) => restore(stash[position]));
+
+            const marked = String(value)
+                .replace(/\u0000/g, "")
+                .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (match, char) => keep(utils.escape(char)))
+                .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${utils.escape(code.trim())}</code>`))
+                .replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) => {
+                    const url = markdown.url(src, true);
+                    if (!url) return alt;
+                    const titleAttr = title ? ` title="${utils.escape(title)}"` : "";
+                    return keep(`<img src="${utils.escape(url)}" alt="${utils.escape(restore(alt))}"${titleAttr} loading="lazy" decoding="async">`);
+                })
+                .replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) => {
+                    const url = markdown.url(href);
+                    if (!url) return label;
+                    const titleAttr = title ? ` title="${utils.escape(title)}"` : "";
+                    const external = markdown.isExternal(url) ? ' target="_blank" rel="noopener noreferrer"' : "";
+                    return `${keep(`<a href="${utils.escape(url)}"${titleAttr}${external}>`)}${label}${keep("</a>")}`;
+                });
+
+            return restore(utils.escape(marked)
+                .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+                .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+                .replace(/\*(?=\S)([^*]*?\S)\*/g, "<em>$1</em>")
+                .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>"));
+        },
+
+        text: (value = "") => String(value)
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+            .replace(/^ {0,3}(#{1,6}|>|[-*+]|\d{1,3}[.)])\s+/gm, "")
+            .replace(/^\s*\|?\s*:?-{3,}.*$/gm, "")
+            .replace(/[`*~|_]+/g, " ")
+            .replace(/<br\s*\/?>/gi, " "),
+    };
+
+    const schema = {
+        text: (value) => {
+            if (i18n.localized(value)) return schema.text(i18n.pick(value));
+            if (typeof value === "string") return value.trim();
+            if (typeof value === "number" && Number.isFinite(value)) return String(value);
+            return "";
+        },
+
+        // Slugs come from the site-default text so a localised title never changes a record's URL.
+        defaultText: (value) => schema.text(i18n.pick(value, CONFIG.locale)),
+
+        required: (raw, field, check) => {
+            const value = schema.text(raw[field]);
+            if (!value) check.error(field, raw[field] == null ? "is missing" : `must be a non-empty string, got ${JSON.stringify(raw[field])}`);
+            return value;
+        },
+
+        optional: (raw, field, check) => {
+            if (raw[field] == null || raw[field] === "") return "";
+            const value = schema.text(raw[field]);
+            if (!value) check.warn(field, `must be a string, got ${JSON.stringify(raw[field])}; ignoring it`);
+            return value;
+        },
+
+        date: (raw, field, check) => {
+            const value = schema.optional(raw, field, check);
+            if (value && !dates.parse(value)) check.warn(field, `"${value}" is not a recognisable date; use YYYY-MM-DD`);
+            return value;
+        },
+
+        slug: (raw, fallback, check) => {
+            const explicit = schema.optional(raw, "slug", check);
+            const slug = utils.slugify(explicit || fallback);
+            if (explicit && slug !== explicit) check.warn("slug", `"${explicit}" is not URL-safe; using "${slug}"`);
+            return slug;
+        },
+
+        strings: (raw, field, check) => {
+            const value = raw[field];
+            if (value == null || value === "") return [];
+            const items = Array.isArray(value) ? value : [value];
+            if (!Array.isArray(value)) check.warn(field, "should be an array; treating it as a single entry");
+
+            return items.reduce((list, item, index) => {
+                const text = schema.text(item);
+                if (text) list.push(text);
+                else check.warn(`${field}[${index}]`, `must be a string, got ${JSON.stringify(item)}; dropping it`);
+                return list;
+            }, []);
+        },
+
+        game: (raw, check) => {
+            const image = schema.optional(raw, "image_url", check);
+            if (!image) check.warn("image_url", "is missing; the game will render without cover art");
+
+            const screenshots = (Array.isArray(raw.screenshots) ? raw.screenshots : []).reduce((list, shot, index) => {
+                const url = schema.text(typeof shot === "object" && shot ? shot.url : shot);
+                if (url) list.push({ url, caption: schema.text(shot?.caption) });
+                else check.warn(`screenshots[${index}]`, "needs a url; dropping it");
+                return list;
+            }, []);
+            if (raw.screenshots != null && !Array.isArray(raw.screenshots)) check.warn("screenshots", "must be an array; ignoring it");
+
+            const id = schema.required(raw, "id", check);
+            const title = schema.required(raw, "title", check);
+
+            return {
+                id,
+                slug: schema.slug(raw, schema.defaultText(raw.title) || id, check),
+                numeric_id: schema.optional(raw, "numeric_id", check),
+                aliases: schema.strings(raw, "aliases", check),
+                link: schema.optional(raw, "link", check),
+                title,
+                description: schema.optional(raw, "description", check),
+                genre: schema.optional(raw, "genre", check) || "Action",
+                developer: schema.optional(raw, "developer", check) || "Reflex Interactive",
+                publisher: schema.optional(raw, "publisher", check) || "Reflex Interactive",
+                image_url: image,
+                hero_image_url: schema.optional(raw, "hero_image_url", check) || image,
+                trailers: schema.trailers(raw, check, image),
+                screenshots,
+                date: schema.date(raw, "date", check),
+                release_date: schema.date(raw, "release_date", check),
+                updated: schema.date(raw, "updated", check),
+                access: schema.access(raw, check),
+            };
+        },
+
+        // Trailers come from "trailers" (links or { url, title, thumbnail }) and the older single
+        // "trailer_url". YouTube plays in the lightbox through its privacy-enhanced embed; any other https
+        // link is kept and opens on its own site, with the game cover standing in for a thumbnail.
+        trailers: (raw, check, poster = "") => {
+            if (raw.trailers != null && !Array.isArray(raw.trailers)) check.warn("trailers", "should be an array; treating it as a single entry");
+            const entries = [
+                ...(raw.trailer_url ? [["trailer_url", raw.trailer_url]] : []),
+                ...(raw.trailers == null ? [] : [].concat(raw.trailers)).map((item, index) => [`trailers[${index}]`, item]),
+            ];
+            const seen = new Set();
+
+            return entries.reduce((trailers, [field, item]) => {
+                const entry = item && typeof item === "object" ? item : { url: item };
+                const url = schema.text(entry.url);
+                const id = utils.youtubeId(url);
+                if (id && !seen.has(id)) {
+                    seen.add(id);
+                    trailers.push({
+                        id,
+                        url,
+                        title: schema.text(entry.title),
+                        thumbnail: schema.text(entry.thumbnail) || `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+                        embed: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1&rel=0`,
+                    });
+                } else if (!id && /^https:\/\//i.test(url)) {
+                    check.warn(field, `${JSON.stringify(url)} is not a YouTube link; it will open on its own site instead of playing here`);
+                    if (!seen.has(url)) {
+                        seen.add(url);
+                        trailers.push({ id: "", url, title: schema.text(entry.title), thumbnail: schema.text(entry.thumbnail) || poster, embed: "" });
+                    }
+                } else if (!id) {
+                    check.warn(field, `${JSON.stringify(entry.url)} is not an https link; dropping it`);
+                }
+                return trailers;
+            }, []);
+        },
+
+        access: (raw, check) => {
+            const fallback = { status: "unavailable", prices: {}, url: "", store: "", release_date: "" };
+            if (raw.access == null) return fallback;
+            if (typeof raw.access !== "object" || Array.isArray(raw.access)) {
+                check.warn("access", "must be an object; treating the game as unavailable");
                 return fallback;
             }
+
+            const access = raw.access;
+            const nested = { warn: (field, message) => check.warn(`access.${field}`, message) };
+            let status = schema.text(access.status).toLowerCase();
+            if (!utils.accessStates.includes(status)) {
+                check.warn("access.status", `must be one of ${utils.accessStates.join(", ")}, got ${JSON.stringify(access.status)}; treating the game as unavailable`);
+                status = "unavailable";
+            }
+
+            const prices = schema.prices(access, nested);
+            if ((status === "paid" || status === "early-access") && !Object.keys(prices).length) {
+                check.warn("access.price", `is required for "${status}" games; treating the game as unavailable`);
+                status = "unavailable";
+            }
+
+            // Paid and early-access buttons sell the game, so they need somewhere that actually takes payment.
+            const url = schema.optional(access, "url", nested);
+            if (["paid", "early-access", "external", "wishlist"].includes(status) && !url) {
+                check.warn("access.url", `is required for "${status}" games; treating the game as unavailable`);
+                status = "unavailable";
+            }
+
+            return {
+                status,
+                prices: status === "free" ? {} : prices,
+                url,
+                store: schema.optional(access, "store", nested),
+                release_date: schema.date(access, "release_date", nested) || schema.text(raw.release_date),
+            };
+        },
+
+        // A price is either one amount in the default currency or an object keyed by currency code
+        // ("EUR") or by a configured region ("US"), which stands for that region's currency.
+        prices: (raw, check) => {
+            const value = raw.prices ?? raw.price;
+            if (value == null || value === "") return {};
+            const entries = typeof value === "object" && !Array.isArray(value) ? Object.entries(value) : [[CONFIG.defaultCurrency, value]];
+
+            return entries.reduce((prices, [key, amount]) => {
+                const code = String(key).toUpperCase();
+                const currency = code.length === 2 ? CONFIG.regions[code]?.currency : code;
+                const number = Number(amount);
+
+                if (!currency || !/^[A-Z]{3}$/.test(currency)) check.warn(`price.${key}`, "is not a currency code or a configured region; ignoring it");
+                else if (amount === "" || amount === null || !Number.isFinite(number) || number < 0) check.warn(`price.${key}`, `must be a non-negative number, got ${JSON.stringify(amount)}; ignoring it`);
+                else prices[currency] = number;
+                return prices;
+            }, {});
+        },
+
+        article: (raw, check) => {
+            const content = Array.isArray(i18n.pick(raw.content))
+                ? schema.blocks(raw, check).map((block) => (block.type === "list" ? block.items.join("\n") : block.text)).join("\n\n")
+                : schema.optional(raw, "content", check);
+
+            const id = schema.required(raw, "id", check);
+            const title = schema.required(raw, "title", check);
+
+            return {
+                id,
+                slug: schema.slug(raw, schema.defaultText(raw.title) || id, check),
+                title,
+                date: schema.date(raw, "date", check),
+                summary: schema.optional(raw, "summary", check),
+                image_url: schema.optional(raw, "image_url", check),
+                category: utils.slugify(schema.optional(raw, "category", check)),
+                game_id: schema.optional(raw, "game_id", check),
+                tags: schema.strings(raw, "tags", check).map(utils.slugify).filter(Boolean),
+                content,
+            };
+        },
+
+        supportArticle: (raw, check) => ({
+            id: schema.required(raw, "id", check),
+            title: schema.required(raw, "title", check),
+            summary: schema.optional(raw, "summary", check),
+            category: schema.optional(raw, "category", check) || "general",
+            game_id: schema.optional(raw, "game_id", check) || "all",
+            tags: schema.strings(raw, "tags", check),
+            content: schema.blocks(raw, check),
+            date: schema.date(raw, "date", check),
+            updated: schema.date(raw, "updated", check),
+        }),
+
+        blocks: (raw, check) => {
+            const content = i18n.pick(raw.content);
+            if (content == null || content === "") return [];
+            if (typeof content === "string") return [{ type: "paragraph", text: content }];
+            if (!Array.isArray(content)) {
+                check.warn("content", "must be a string or an array of blocks; ignoring it");
+                return [];
+            }
+
+            return content.reduce((blocks, block, index) => {
+                const field = `content[${index}]`;
+                if (typeof block === "string") {
+                    blocks.push({ type: "paragraph", text: block });
+                } else if (block?.type === "list" && Array.isArray(block.items)) {
+                    blocks.push({ type: "list", items: schema.strings(block, "items", { warn: (name, message) => check.warn(`${field}.${name}`, message) }) });
+                } else if (schema.text(block?.text)) {
+                    if (block.type && block.type !== "heading" && block.type !== "paragraph") check.warn(`${field}.type`, `unknown block type "${block.type}"; rendering it as a paragraph`);
+                    blocks.push({ type: block.type === "heading" ? "heading" : "paragraph", text: schema.text(block.text) });
+                } else {
+                    check.warn(field, "is not a string, a list block or a block with text; dropping it");
+                }
+                return blocks;
+            }, []);
+        },
+
+        feed: (name, payload, normalize) => {
+            if (!Array.isArray(payload)) {
+                diagnostics.error(`[Feed] ${name}: expected a JSON array of records but received ${payload === null ? "null" : typeof payload}.`);
+                return [];
+            }
+
+            const records = [];
+            const issues = [];
+            const seen = new Set();
+            const slugs = new Set();
+            state.quarantine[name] = [];
+
+            payload.forEach((raw, index) => {
+                const label = `${name}[${index}]${raw?.id != null ? ` (id ${JSON.stringify(raw.id)})` : ""}`;
+                const recordIssues = [];
+                const check = {
+                    error: (field, message) => recordIssues.push({ label, field, message, fatal: true }),
+                    warn: (field, message) => recordIssues.push({ label, field, message, fatal: false }),
+                };
+
+                const record = raw && typeof raw === "object" && !Array.isArray(raw) ? normalize(raw, check) : null;
+                if (!record) check.error("record", "must be a JSON object");
+                else if (record.id && seen.has(record.id)) check.error("id", "duplicates an earlier record");
+
+                if (recordIssues.some((issue) => issue.fatal)) {
+                    issues.push(...recordIssues);
+                    state.quarantine[name].push({ index, raw, issues: recordIssues });
+                    return;
+                }
+
+                if (record.slug !== undefined && (!record.slug || slugs.has(record.slug))) {
+                    const fallback = [record.slug, utils.slugify(record.id)].filter(Boolean).join("-") || encodeURIComponent(record.id);
+                    if (record.slug) check.warn("slug", `"${record.slug}" is already used by another record; using "${fallback}"`);
+                    record.slug = fallback;
+                }
+
+                issues.push(...recordIssues);
+                seen.add(record.id);
+                if (record.slug) slugs.add(record.slug);
+                records.push(record);
+            });
+
+            schema.report(name, issues);
+            return records;
+        },
+
+        report: (name, issues) => {
+            if (!issues.length) return;
+
+            const quarantined = state.quarantine[name].length;
+            console.group(`[Feed] ${name}: ${quarantined} record${quarantined === 1 ? "" : "s"} quarantined, ${issues.length - issues.filter((issue) => issue.fatal).length} warning(s)`);
+            issues.forEach((issue) => {
+                const log = issue.fatal ? console.error : console.warn;
+                log(`${issue.label} field "${issue.field}" ${issue.message}${issue.fatal ? " (record skipped)" : ""}`);
+            });
+            console.groupEnd();
+        },
+
+        launcherPackage: (raw, check) => {
+            const runtime = schema.required(raw, "runtime", check);
+            if (runtime && !utils.launcherPlatforms[runtime]) check.warn("runtime", `"${runtime}" is not a runtime the site detects; it will only appear under other platforms`);
+
+            const url = schema.text(utils.launcherPackageUrl(raw));
+            if (!url) check.error("url", "is missing; a package needs a url or an installer file name");
+
+            const filename = schema.text(raw.installer || raw.filename || raw.file) || decodeURIComponent(url.split(/[?#]/)[0].split("/").pop() || "");
+            const format = (schema.optional(raw, "format", check) || filename.split(".").pop() || "").toLowerCase();
+
+            const size = Number(raw.size ?? raw.bytes ?? 0);
+            if (!Number.isFinite(size) || size < 0) check.warn("size", `must be a number of bytes, got ${JSON.stringify(raw.size ?? raw.bytes)}; ignoring it`);
+
+            let sha256 = schema.optional(raw, "sha256", check).toLowerCase();
+            if (sha256 && !/^[a-f0-9]{64}$/.test(sha256)) {
+                check.warn("sha256", "is not a 64-character hex digest; ignoring it");
+                sha256 = "";
+            }
+
+            const signature = schema.optional(raw, "signature", check);
+
+            return {
+                id: `${runtime}:${format}`,
+                runtime,
+                format,
+                url,
+                filename,
+                size: Number.isFinite(size) && size > 0 ? size : 0,
+                sha256,
+                signer: schema.optional(raw, "signer", check),
+                signature: signature ? utils.launcherPackageUrl({ url: /^https?:\/\//i.test(signature) ? signature : "", file: signature }) : "",
+            };
+        },
+
+        // version.json may list packages as an array, as an object keyed by runtime (one package or an
+        // array of formats each), or - for older launchers - describe a single Windows package at the top level.
+        // Past releases often only keep their notes; those have no packages rather than a broken one.
+        launcherRelease: (raw, name = "launcher") => {
+            const legacy = raw.packages == null && (name === "launcher" || utils.launcherPackageUrl(raw));
+            const entries = raw.packages ?? (legacy ? [{ runtime: CONFIG.launcherRuntime, ...raw }] : []);
+            const list = Array.isArray(entries)
+                ? entries
+                : Object.entries(entries).flatMap(([runtime, value]) => (Array.isArray(value) ? value : [value]).map((item) => ({ runtime, ...item })));
+            const order = Object.keys(utils.launcherPlatforms);
+            const rank = (runtime) => (order.includes(runtime) ? order.indexOf(runtime) : order.length);
+            const notes = Array.isArray(raw.notes) ? raw.notes.map(schema.text).filter(Boolean).map((line) => `- ${line}`).join("\n") : schema.text(raw.notes);
+            const requirements = raw.requirements && typeof raw.requirements === "object" && !Array.isArray(raw.requirements)
+                ? Object.entries(raw.requirements).map(([runtime, text]) => ({ platform: utils.launcherPlatform(runtime).label, text: schema.text(text) })).filter((item) => item.text)
+                : [];
+
+            return {
+                version: schema.text(raw.version || raw.latest),
+                released: schema.text(raw.released || raw.date),
+                notes,
+                requirements,
+                packages: schema.feed(name, list, schema.launcherPackage)
+                    .map((item, index) => ({ item, index }))
+                    .sort((a, b) => rank(a.item.runtime) - rank(b.item.runtime) || a.index - b.index)
+                    .map(({ item }) => item),
+            };
+        },
+
+        launcher: (payload) => {
+            if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+                diagnostics.error(`[Feed] launcher: expected a JSON object but received ${Array.isArray(payload) ? "an array" : payload === null ? "null" : typeof payload}.`);
+                return { version: "", released: "", notes: "", requirements: [], packages: [], history: [] };
+            }
+
+            const history = Array.isArray(payload.history) ? payload.history : [];
+            if (payload.history != null && !Array.isArray(payload.history)) console.warn("[Feed] launcher: history must be an array of releases; ignoring it.");
+
+            return {
+                ...schema.launcherRelease(payload),
+                history: history
+                    .filter((release) => release && typeof release === "object" && !Array.isArray(release))
+                    .map((release, index) => schema.launcherRelease(release, `launcher.history[${index}]`))
+                    .filter((release) => release.version),
+            };
+        },
+
+        games: (payload) => schema.feed("games", payload, schema.game),
+        news: (payload) => schema.feed("news", payload, schema.article),
+        supportArticles: (payload) => schema.feed("supportArticles", payload, schema.supportArticle),
+    };
+
+    const store = {
+        supported: () => "caches" in window && window.isSecureContext,
+
+        read: async (url) => {
+            if (!store.supported()) return null;
+
+            try {
+                const cache = await caches.open(CONFIG.cache.name);
+                const response = await cache.match(url);
+                if (!response) return null;
+                return {
+                    payload: await response.json(),
+                    storedAt: Number(response.headers.get("X-Reflex-Stored-At")) || 0,
+                };
+            } catch (error) {
+                console.warn(`[Store] read ${url}`, error);
+                return null;
+            }
+        },
+
+        write: async (url, payload) => {
+            if (!store.supported()) return;
+
+            try {
+                const cache = await caches.open(CONFIG.cache.name);
+                await cache.put(url, new Response(JSON.stringify(payload), {
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-Reflex-Stored-At": String(Date.now()),
+                    },
+                }));
+            } catch (error) {
+                console.warn(`[Store] write ${url}`, error);
+            }
+        },
+
+        clear: async () => {
+            if (!("caches" in window)) return;
+
+            try {
+                await caches.delete(CONFIG.cache.name);
+            } catch (error) {
+                console.warn("[Store] clear", error);
+            }
+        },
+    };
+
+    const data = {
+        json: async (url, ttl = 0) => {
+            const cached = state.cache.get(url);
+            if (cached) return cached;
+
+            const request = data.revalidate(url, ttl);
+            state.cache.set(url, request);
+
+            try {
+                return await request;
+            } catch (error) {
+                state.cache.delete(url);
+                throw error;
+            }
+        },
+
+        fetchJSON: async (url) => {
+            const response = await fetch(url, { headers: { Accept: "application/json" } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        },
+
+        revalidate: async (url, ttl) => {
+            const stored = await store.read(url);
+            if (stored && Date.now() - stored.storedAt < ttl) return stored.payload;
+
+            const network = data.fetchJSON(url).then((payload) => {
+                store.write(url, payload);
+                return payload;
+            });
+
+            if (!stored) return network;
+
+            network.catch((error) => {
+                console.warn(`[Data] Serving cached copy of ${url}`, error);
+                ui.cacheNotice(stored.storedAt);
+            });
+            return stored.payload;
+        },
+
+        component: async (id, path, callback) => {
+            const target = dom.id(id);
+            if (!target) return null;
+
+            try {
+                const response = await fetch(path);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                target.innerHTML = await response.text();
+                callback?.(target);
+                return target;
+            } catch (error) {
+                diagnostics.error(`[Component] ${path}`, error);
+                return null;
+            }
+        },
+
+        feed: (name) => {
+            const key = `feed:${name}`;
+            if (!state.cache.has(key)) {
+                const request = data.json(CONFIG.api[name], CONFIG.cache.ttl[name])
+                    .then((payload) => utils.newestFirst(schema[name](payload)));
+                request.catch(() => state.cache.delete(key));
+                state.cache.set(key, request);
+            }
+            return state.cache.get(key);
+        },
+
+        launcher: () => {
+            const key = "launcher:version";
+            if (!state.cache.has(key)) {
+                const request = fetch(`${CONFIG.launcher.versionUrl}?t=${Date.now()}`, {
+                    headers: { Accept: "application/json" },
+                    cache: "no-store",
+                }).then((response) => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                }).then(schema.launcher);
+                request.catch(() => state.cache.delete(key));
+                state.cache.set(key, request);
+            }
+            return state.cache.get(key);
+        },
+
+        games: () => data.feed("games"),
+        news: () => data.feed("news"),
+        supportArticles: () => data.feed("supportArticles"),
+    };
+
+    const diagnostics = {
+        limit: 20,
+
+        init: () => {
+            window.addEventListener("error", (event) => {
+                diagnostics.record(event.error || event.message, event.filename ? `${event.filename}:${event.lineno}` : "");
+            });
+            window.addEventListener("unhandledrejection", (event) => diagnostics.record(event.reason, "unhandledrejection"));
+        },
+
+        // The site's own failures are logged and kept for support tickets; console output from anything
+        // else on the page (extensions, third-party tags) stays out of them.
+        error: (context, error) => {
+            if (error === undefined) {
+                console.error(context);
+                diagnostics.record(context);
+                return;
+            }
+            console.error(context, error);
+            diagnostics.record(error, context);
+        },
+
+        describe: (value) => {
+            if (Array.isArray(value)) return value.map(diagnostics.describe).join(" ");
+            if (value instanceof Error) return `${value.name}: ${value.message}`;
+            if (typeof value === "string") return value;
+            try {
+                return JSON.stringify(value);
+            } catch {
+                return String(value);
+            }
+        },
+
+        record: (value, source = "") => {
+            state.errors.push({
+                time: new Date().toISOString(),
+                message: diagnostics.describe(value).slice(0, 300),
+                source: source.slice(0, 200),
+            });
+            if (state.errors.length > diagnostics.limit) state.errors.splice(0, state.errors.length - diagnostics.limit);
+        },
+
+        launcherVersion: async () => {
+            try {
+                const manifest = await data.launcher();
+                return manifest.version || "unknown";
+            } catch {
+                return "unavailable";
+            }
+        },
+
+        collect: async () => ({
+            siteVersion: CONFIG.version,
+            page: window.location.pathname,
+            userAgent: navigator.userAgent,
+            platform: navigator.userAgentData?.platform || navigator.platform || "unknown",
+            launcherRuntime: await utils.currentLauncherRuntime() || "unsupported",
+            launcherVersion: await diagnostics.launcherVersion(),
+            screen: `${window.screen.width}x${window.screen.height} @${window.devicePixelRatio || 1}x`,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            locale: navigator.language,
+            languages: Array.from(navigator.languages || []),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            online: navigator.onLine,
+            errors: state.errors.slice(-10),
+            collectedAt: new Date().toISOString(),
+        }),
+    };
+
+    const feedback = {
+        storageKey: "reflex-support-feedback",
+
+        votes: () => {
+            try {
+                return utils.parseJSON(localStorage.getItem(feedback.storageKey), {});
+            } catch {
+                return {};
+            }
+        },
+
+        vote: (id) => feedback.votes()[id] || null,
+
+        remember: (id, helpful) => {
+            try {
+                localStorage.setItem(feedback.storageKey, JSON.stringify({ ...feedback.votes(), [id]: { helpful, at: new Date().toISOString() } }));
+            } catch (error) {
+                console.warn("[Feedback] Vote could not be stored", error);
+            }
+        },
+
+        send: (payload, { beacon = false } = {}) => {
+            const url = CONFIG.endpoints.supportFeedback;
+            const body = JSON.stringify({ ...payload, page: window.location.pathname });
+
+            if (beacon && navigator.sendBeacon?.(url, new Blob([body], { type: "application/json" }))) return Promise.resolve(true);
+            return fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Accept: "application/json" },
+                body,
+                keepalive: true,
+            }).then((response) => response.ok).catch(() => false);
+        },
+
+        // Deflection: every article read is reported once, either as "escalated" when the player goes
+        // on to raise a ticket, or as "deflected" when they leave without doing so.
+        read: (id) => {
+            if (!state.support.reads.has(id)) {
+                state.support.reads.set(id, { openedAt: Date.now(), outcome: "" });
+                feedback.send({ type: "read", article: id }, { beacon: true });
+            }
+        },
+
+        escalate: (id = "") => {
+            state.support.reads.forEach((read, article) => {
+                if (read.outcome || (id && article !== id)) return;
+                read.outcome = "escalated";
+                feedback.send({ type: "escalated", article }, { beacon: true });
+            });
+        },
+
+        flush: () => {
+            state.support.reads.forEach((read, article) => {
+                if (read.outcome) return;
+                read.outcome = "deflected";
+                feedback.send({ type: "deflected", article, seconds: Math.round((Date.now() - read.openedAt) / 1000) }, { beacon: true });
+            });
+            state.support.reads.clear();
+        },
+    };
+
+    const gallery = {
+        hashPattern: /^#media-(\d+)$/,
+
+        // Trailers first, then screenshots; "#media-N" counts through both, starting at 1.
+        items: (game) => [
+            ...game.trailers.map((trailer) => ({
+                type: "video",
+                embed: trailer.embed,
+                url: trailer.url,
+                thumbnail: trailer.thumbnail,
+                alt: trailer.title || i18n.t("games.trailer", { title: game.title }),
+                caption: trailer.title,
+            })),
+            ...game.screenshots.map((shot) => ({
+                type: "image",
+                url: shot.url,
+                thumbnail: shot.url,
+                alt: shot.caption || i18n.t("games.screenshot", { title: game.title }),
+                caption: shot.caption,
+            })),
+        ],
+
+        dialog: () => {
+            let dialog = dom.id("media-lightbox");
+            if (dialog) return dialog;
+
+            document.body.insertAdjacentHTML("beforeend", templates.mediaLightbox());
+            dialog = dom.id("media-lightbox");
+            dialog.addEventListener("touchstart", (event) => {
+                state.gallery.touchX = event.touches.length === 1 ? event.touches[0].clientX : null;
+            }, { passive: true });
+            dialog.addEventListener("touchend", gallery.swipe);
+            return dialog;
+        },
+
+        open: (index) => {
+            const item = state.gallery.items[index];
+            if (!item) return;
+
+            const dialog = gallery.dialog();
+            const opening = dialog.hidden;
+            if (opening) state.gallery.opener = document.activeElement;
+            state.gallery.index = index;
+
+            dom.qs(".media-lightbox-stage", dialog).innerHTML = templates.mediaSlide(item);
+            dom.qs(".media-lightbox-caption", dialog).textContent = item.caption || "";
+            dom.qs(".media-lightbox-count", dialog).textContent = i18n.t("media.count", { index: index + 1, total: state.gallery.items.length });
+            dom.qsa("[data-lightbox-step]", dialog).forEach((button) => {
+                button.hidden = state.gallery.items.length < 2;
+            });
+
+            dialog.hidden = false;
+            document.body.classList.add("overflow-hidden");
+            window.history.replaceState(window.history.state, "", `${window.location.pathname}${window.location.search}#media-${index + 1}`);
+            if (opening) dom.qs("[data-lightbox-close]", dialog)?.focus();
+        },
+
+        close: () => {
+            const dialog = dom.id("media-lightbox");
+            if (!dialog || dialog.hidden) return;
+
+            dialog.hidden = true;
+            // Emptying the stage also stops a playing trailer.
+            dom.qs(".media-lightbox-stage", dialog).innerHTML = "";
+            document.body.classList.remove("overflow-hidden");
+            state.gallery.index = -1;
+            if (gallery.hashPattern.test(window.location.hash)) {
+                window.history.replaceState(window.history.state, "", `${window.location.pathname}${window.location.search}`);
+            }
+            state.gallery.opener?.focus?.();
+            state.gallery.opener = null;
+        },
+
+        step: (delta) => {
+            const total = state.gallery.items.length;
+            if (total < 2 || state.gallery.index < 0) return;
+            gallery.open((state.gallery.index + delta + total) % total);
+        },
+
+        fromHash: () => {
+            const match = window.location.hash.match(gallery.hashPattern);
+            if (match) gallery.open(Number(match[1]) - 1);
+            else gallery.close();
+        },
+
+        // The embed, and YouTube's cookies and scripts with it, only loads once the visitor asks to play.
+        play: () => {
+            const item = state.gallery.items[state.gallery.index];
+            const stage = dom.qs("#media-lightbox .media-lightbox-stage");
+            if (item?.type !== "video" || !stage) return;
+            stage.innerHTML = templates.mediaVideo(item);
+            dom.qs("iframe", stage)?.focus();
+        },
+
+        zoom: (button, event) => {
+            const zoomed = !button.classList.contains("is-zoomed");
+            const image = dom.qs("img", button);
+            if (zoomed && image) {
+                // Zoom towards the pointer; keyboard activation has no position and zooms on the centre.
+                const box = image.getBoundingClientRect();
+                image.style.transformOrigin = event.detail && box.width
+                    ? `${((event.clientX - box.left) / box.width) * 100}% ${((event.clientY - box.top) / box.height) * 100}%`
+                    : "";
+            }
+            button.classList.toggle("is-zoomed", zoomed);
+            button.setAttribute("aria-pressed", String(zoomed));
+        },
+
+        swipe: (event) => {
+            const start = state.gallery.touchX;
+            state.gallery.touchX = null;
+            if (start === null || dom.qs("#media-lightbox .is-zoomed")) return;
+            const distance = event.changedTouches[0].clientX - start;
+            if (Math.abs(distance) > 50) gallery.step(distance < 0 ? 1 : -1);
+        },
+
+        keydown: (event) => {
+            const dialog = dom.id("media-lightbox");
+            if (!dialog || dialog.hidden) return;
+
+            if (event.key === "Escape") gallery.close();
+            else if (event.key === "ArrowRight") gallery.step(1);
+            else if (event.key === "ArrowLeft") gallery.step(-1);
+            else if (event.key === "Tab") {
+                const focusable = dom.qsa("button:not([hidden]), iframe", dialog);
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (event.shiftKey && document.activeElement === first) {
+                    event.preventDefault();
+                    last?.focus();
+                } else if (!event.shiftKey && document.activeElement === last) {
+                    event.preventDefault();
+                    first?.focus();
+                }
+                return;
+            } else return;
+
+            event.preventDefault();
+        },
+    };
+
+    const search = {
+        weights: { title: 5, tags: 3, summary: 2, body: 1 },
+
+        groups: ["games", "news", "supportArticles"],
+
+        // Distinct message words, after the subject, that ticket suggestions search on.
+        suggestTerms: 12,
+
+        stopWords: new Set("a an and are as at be but by for from has have how i in is it its my of on or so that the this to was we what when where which why will with you your".split(" ")),
+
+        suffixes: [
+            [/ational$/, "ate"],
+            [/tional$/, "tion"],
+            [/iveness$/, "ive"],
+            [/fulness$/, "ful"],
+            [/ousness$/, "ous"],
+            [/ization$/, "ize"],
+            [/ation$/, "ate"],
+            [/ments?$/, ""],
+            [/ness$/, ""],
+            [/sses$/, "ss"],
+            [/ies$/, "y"],
+            [/(sh|ch|x|z)es$/, "$1"],
+            [/ied$/, "y"],
+            [/edly$/, ""],
+            [/ingly$/, ""],
+            [/ing$/, ""],
+            [/ed$/, ""],
+            [/ly$/, ""],
+            [/([^su])s$/, "$1"],
+        ],
+
+        normalize: (value = "") => String(value)
+            .normalize("NFKD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase(),
+
+        tokens: (value = "") => search.normalize(value).match(/[\p{L}\p{N}]+/gu) || [],
+
+        stem: (word = "") => {
+            if (word.length < 4 || /\d/.test(word)) return word;
+
+            let stem = word;
+            for (const [pattern, replacement] of search.suffixes) {
+                if (!pattern.test(word)) continue;
+                const next = word.replace(pattern, replacement);
+                if (next.length >= 3) stem = next;
+                break;
+            }
+
+            if (stem !== word && /(ing|ed)$/.test(word) && /([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+            return stem.length > 3 ? stem.replace(/e$/, "") : stem;
         },
 
-        throttle: (fn, wait = 80) => {
-            let last = 0;
-            return (...args) => {
-                const now = performance.now();
-                if (now - last < wait) return;
-                last = now;
-                fn(...args);
-            };
+        terms: (value = "") => search.tokens(value)
+            .filter((word) => !search.stopWords.has(word))
+            .map(search.stem),
+
+        distance: (a, b, max) => {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+
+            let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+            let before = previous;
+            for (let i = 1; i <= a.length; i += 1) {
+                const current = [i];
+                let best = i;
+                for (let j = 1; j <= b.length; j += 1) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) value = Math.min(value, before[j - 2] + 1);
+                    current[j] = value;
+                    best = Math.min(best, value);
+                }
+                if (best > max) return max + 1;
+                before = previous;
+                previous = current;
+            }
+            return previous[b.length];
         },
 
-        spinner: (id, show) => dom.id(id)?.classList.toggle("d-none", !show),
+        documents: {
+            games: (game) => ({
+                type: "games",
+                id: game.id,
+                href: utils.detailHref("game-details", game),
+                title: game.title,
+                tags: [game.genre, game.developer, game.publisher, ...game.aliases].join(" "),
+                summary: game.description,
+                body: game.screenshots.map((shot) => shot.caption).join(" "),
+                date: game.release_date || game.date,
+            }),
+
+            news: (article) => ({
+                type: "news",
+                id: article.id,
+                href: utils.detailHref("newswire-details", article),
+                title: article.title,
+                tags: [...article.tags, article.category].join(" "),
+                summary: article.summary,
+                body: markdown.text(article.content),
+                date: article.date,
+            }),
+
+            supportArticles: (article) => ({
+                type: "supportArticles",
+                id: article.id,
+                href: utils.routeHref(`/support?article=${encodeURIComponent(article.id)}`),
+                title: article.title,
+                tags: [...article.tags, utils.categoryLabel(article.category)].join(" "),
+                summary: article.summary,
+                body: markdown.text(utils.articleText(article)),
+                date: article.updated || article.date,
+            }),
+        },
 
-        categoryLabel: (value = "general") => ({
-            technical: "Technical",
-            "bug-report": "Bug Report",
-            downloads: "Downloads",
-            general: "General",
-        }[value] || String(value).replace(/-/g, " ").replace(/\b\w/g, (char) => char.toUpperCase())),
+        build: (docs = []) => {
+            const postings = new Map();
+
+            docs.forEach((doc, position) => {
+                Object.entries(search.weights).forEach(([field, weight]) => {
+                    search.terms(doc[field]).forEach((term) => {
+                        if (!postings.has(term)) postings.set(term, new Map());
+                        const entry = postings.get(term);
+                        entry.set(position, (entry.get(position) || 0) + weight);
+                    });
+                });
+            });
 
-        articleText: (article = {}) => {
-            const blocks = Array.isArray(article.content) ? article.content : [article.content || ""];
-            return blocks.map((block) => {
-                if (typeof block === "string") return block;
-                if (Array.isArray(block.items)) return block.items.join(" ");
-                return block.text || "";
-            }).join(" ");
+            return { docs, postings, vocabulary: [...postings.keys()] };
         },
-    };
 
-    const data = {
-        json: async (url) => {
-            const cached = state.cache.get(url);
-            if (cached) return cached;
+        expand: (index, term) => {
+            const matches = new Map();
+            if (index.postings.has(term)) matches.set(term, 1);
 
-            const request = fetch(url, { headers: { Accept: "application/json" } })
-                .then((response) => {
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                    return response.json();
+            const typos = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+            index.vocabulary.forEach((candidate) => {
+                if (matches.has(candidate)) return;
+                if (term.length >= 3 && candidate.startsWith(term)) matches.set(candidate, 0.7);
+                else if (typos && search.distance(term, candidate, typos) <= typos) matches.set(candidate, 0.5);
+            });
+            return matches;
+        },
+
+        run: (index, query = "") => {
+            const terms = [...new Set(search.terms(query))];
+            if (!index || !terms.length) return [];
+
+            const scores = new Map();
+            terms.forEach((term) => {
+                const matched = new Set();
+                search.expand(index, term).forEach((boost, candidate) => {
+                    const entry = index.postings.get(candidate);
+                    const idf = Math.log(1 + index.docs.length / entry.size);
+                    entry.forEach((weight, position) => {
+                        const result = scores.get(position) || { doc: index.docs[position], score: 0, terms: new Set(), hits: new Set() };
+                        result.score += weight * boost * idf;
+                        result.hits.add(candidate);
+                        matched.add(position);
+                        scores.set(position, result);
+                    });
                 });
+                matched.forEach((position) => scores.get(position).terms.add(term));
+            });
 
-            state.cache.set(url, request);
+            const results = [...scores.values()];
+            const complete = results.filter((result) => result.terms.size === terms.length);
+            return (complete.length ? complete : results)
+                .sort((a, b) => b.terms.size - a.terms.size || b.score - a.score);
+        },
 
-            try {
-                return await request;
-            } catch (error) {
-                state.cache.delete(url);
-                throw error;
+        highlight: (value = "", hits = new Set()) => String(value)
+            .split(/([\p{L}\p{N}]+)/u)
+            .map((part, index) => {
+                const escaped = utils.escape(part);
+                return index % 2 && hits.has(search.stem(search.normalize(part))) ? `<mark>${escaped}</mark>` : escaped;
+            })
+            .join(""),
+
+        snippet: (result, length = 180) => {
+            const { doc, hits } = result;
+            const hasHit = (value) => search.terms(value).some((term) => hits.has(term));
+            const source = [doc.summary, doc.body].find(hasHit) || doc.summary || doc.body || "";
+            const value = String(source).replace(/<br\s*\/?>/gi, " ").replace(/\s+/g, " ").trim();
+
+            let first = 0;
+            for (const match of value.matchAll(/[\p{L}\p{N}]+/gu)) {
+                if (hits.has(search.stem(search.normalize(match[0])))) {
+                    first = match.index;
+                    break;
+                }
             }
-        },
 
-        component: async (id, path, callback) => {
-            const target = dom.id(id);
-            if (!target) return null;
+            const start = first > length / 3 ? value.lastIndexOf(" ", first - Math.floor(length / 3)) + 1 : 0;
+            const slice = value.slice(start, start + length);
+            return `${start > 0 ? "... " : ""}${search.highlight(slice, hits)}${start + length < value.length ? " ..." : ""}`;
+        },
 
-            try {
-                const response = await fetch(path);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                target.innerHTML = await response.text();
-                callback?.(target);
-                return target;
-            } catch (error) {
-                console.error(`[Component] ${path}`, error);
-                return null;
+        index: () => {
+            const key = "search:index";
+            if (!state.cache.has(key)) {
+                const names = Object.keys(search.documents);
+                const request = Promise.allSettled(names.map((name) => data[name]()))
+                    .then((results) => {
+                        if (results.every((result) => result.status === "rejected")) throw results[0].reason;
+                        return search.build(results.flatMap((result, position) => {
+                            if (result.status === "fulfilled") return result.value.map(search.documents[names[position]]);
+                            console.warn(`[Search] ${names[position]} could not be indexed`, result.reason);
+                            return [];
+                        }));
+                    });
+                request.catch(() => state.cache.delete(key));
+                state.cache.set(key, request);
             }
+            return state.cache.get(key);
         },
-
-        games: async () => utils.newestFirst(await data.json(CONFIG.api.games)),
-        news: async () => utils.newestFirst(await data.json(CONFIG.api.news)),
-        supportArticles: async () => utils.newestFirst(await data.json(CONFIG.api.supportArticles)),
     };
 
     const templates = {
@@ -271,46 +2031,267 @@
 
         newsCard: (article) => `
             <article class="card modern-card news-card h-100">
-                <a href="${utils.detailHref("newswire-details", article.id)}" class="d-flex h-100 flex-column">
-                    <img src="${utils.normalizeMedia(article.image_url, 720)}" alt="${utils.escape(article.title)}" width="720" height="405" class="modern-card-img" loading="lazy" decoding="async">
+                <a href="${utils.detailHref("newswire-details", article)}" class="d-flex h-100 flex-column">
+                    ${media.image(article.image_url, { alt: article.title, width: 720, height: 405, sizes: media.sizes.card, className: "modern-card-img" })}
                     <div class="card-body d-flex flex-column">
-                        <time class="modern-card-date" datetime="${utils.escape(article.date)}">${utils.escape(article.date)}</time>
+                        ${dates.element(article.date, { className: "modern-card-date" })}
                         <h3 class="modern-card-title">${utils.escape(article.title)}</h3>
-                        <span class="modern-card-cta mt-auto">Read more ${templates.arrow}</span>
+                        <span class="modern-card-cta mt-auto">${utils.escape(i18n.t("news.readMore"))} ${templates.arrow}</span>
                     </div>
                 </a>
             </article>
         `,
 
+        newsTag: (label, filters, active, count = null) => `
+            <a href="${utils.escape(utils.newsHref({ ...filters, page: 1 }))}" class="news-tag"${active ? ' aria-current="true"' : ""}>${utils.escape(label)}${count === null ? "" : `<small>${count}</small>`}</a>
+        `,
+
+        newsPagination: ({ filters, page, pages }) => {
+            if (pages < 2) return "";
+
+            const link = (target, label, attrs = "") => `<a href="${utils.escape(utils.newsHref({ ...filters, page: target }))}" class="news-page-link"${attrs}>${label}</a>`;
+            const shown = Array.from({ length: pages }, (_, index) => index + 1)
+                .filter((target) => target === 1 || target === pages || Math.abs(target - page) <= 1);
+
+            const numbers = shown.map((target, index) => {
+                const gap = index > 0 && target - shown[index - 1] > 1 ? '<span class="news-page-gap" aria-hidden="true">...</span>' : "";
+                const attrs = target === page ? ' aria-current="page"' : ` aria-label="${utils.escape(i18n.t("pagination.page", { page: target }))}"`;
+                return `${gap}${link(target, target, attrs)}`;
+            });
+
+            return [
+                page > 1 ? link(page - 1, utils.escape(i18n.t("pagination.previous")), ' rel="prev"') : "",
+                ...numbers,
+                page < pages ? link(page + 1, utils.escape(i18n.t("pagination.next")), ' rel="next"') : "",
+            ].join("");
+        },
+
+        searchResult: (result) => `
+            <article class="search-result">
+                <a href="${utils.escape(result.doc.href)}">
+                    <h3 class="search-result-title">${search.highlight(result.doc.title, result.hits)}</h3>
+                    <p class="search-result-snippet mb-0">${search.snippet(result)}</p>
+                </a>
+            </article>
+        `,
+
+        searchGroup: (type, results) => `
+            <section class="search-group" aria-labelledby="search-group-${type}">
+                <h2 id="search-group-${type}" class="search-group-title">${utils.escape(i18n.t(`search.group.${type}`))} <span>${results.length}</span></h2>
+                ${results.map(templates.searchResult).join("")}
+            </section>
+        `,
+
         gameCard: (game) => `
             <article class="card modern-game-card h-100">
-                <a href="${utils.detailHref("game-details", game.id)}" class="modern-game-card-anchor" aria-label="Explore ${utils.escape(game.title)}">
-                    <img src="${utils.normalizeMedia(game.image_url, 720)}" alt="${utils.escape(game.title)} cover art" width="720" height="405" class="modern-game-card-img" loading="lazy" decoding="async">
+                <a href="${utils.detailHref("game-details", game)}" class="modern-game-card-anchor" aria-label="${utils.escape(i18n.t("games.exploreLabel", { title: game.title }))}">
+                    ${media.image(game.image_url, { alt: i18n.t("games.coverAlt", { title: game.title }), width: 720, height: 405, sizes: media.sizes.card, className: "modern-game-card-img" })}
                     <div class="modern-game-card-overlay">
                         <h3 class="modern-game-card-title">${utils.escape(game.title)}</h3>
-                        <span class="modern-game-card-link">Explore game ${templates.arrow}</span>
+                        <span class="modern-game-card-link">${utils.escape(i18n.t("games.explore"))} ${templates.arrow}</span>
                     </div>
                 </a>
             </article>
         `,
 
         navGame: (game) => `
-            <a class="navbar-game-tile" href="${utils.detailHref("game-details", game.id)}">
-                <img src="${utils.normalizeMedia(game.image_url, 480)}" alt="${utils.escape(game.title)}" width="480" height="270" loading="lazy" decoding="async">
+            <a class="navbar-game-tile" href="${utils.detailHref("game-details", game)}">
+                ${media.image(game.image_url, { alt: game.title, width: 480, height: 270, sizes: media.sizes.navTile })}
                 <span>${utils.escape(game.title)}</span>
             </a>
         `,
 
         supportGame: (game) => `
             <button type="button" class="card modern-card h-100 text-decoration-none support-game-card" data-support-game="${utils.escape(game.id)}" data-support-game-title="${utils.escape(game.title)}">
-                <img src="${utils.normalizeMedia(game.image_url, 700)}" alt="${utils.escape(game.title)} support category" width="700" height="394" class="modern-game-card-img support-tile-img" loading="lazy" decoding="async">
+                ${media.image(game.image_url, { alt: i18n.t("support.gameAlt", { title: game.title }), width: 700, height: 394, sizes: media.sizes.supportCard, className: "modern-game-card-img support-tile-img" })}
                 <div class="card-img-overlay d-flex align-items-center justify-content-center">
                     <h3 class="text-white fw-bold m-0 text-shadow-lg">${utils.escape(game.title)}</h3>
                 </div>
             </button>
         `,
 
-        supportArticleCard: (article, gameTitle = "All games") => `
+        gameMedia: (game) => gallery.items(game).map((item, index) => `
+            <figure class="col game-media-item mb-0">
+                <button type="button" class="game-media-open${item.type === "video" ? " is-video" : ""}" data-media-index="${index}"${item.type === "video" ? ` aria-label="${utils.escape(i18n.t("media.play", { title: item.alt }))}"` : ""}>
+                    ${media.image(item.thumbnail, { alt: item.alt, width: 900, height: 506, sizes: media.sizes.card, className: "img-fluid rounded-lg shadow-md" })}
+                    ${item.type === "video" ? '<span class="media-play" aria-hidden="true"></span>' : ""}
+                </button>
+                ${item.caption ? `<figcaption class="game-media-caption">${utils.escape(item.caption)}</figcaption>` : ""}
+            </figure>
+        `).join(""),
+
+        // Wide key art on desktop, a portrait cut on phones; decorative, since the title sits on top of it.
+        gameHero: (game) => media.picture(game.hero_image_url, {
+            width: 1920,
+            height: 1080,
+            sizes: media.sizes.hero,
+            className: "game-hero-img",
+            loading: "eager",
+            priority: true,
+            sources: [{ media: "(max-width: 767.98px)", crop: media.crops.heroMobile, width: 800, height: 1000 }],
+        }),
+
+        mediaLightbox: () => `
+            <div id="media-lightbox" class="media-lightbox" role="dialog" aria-modal="true" aria-label="${utils.escape(i18n.t("media.viewer"))}" hidden>
+                <button type="button" class="media-lightbox-close" data-lightbox-close aria-label="${utils.escape(i18n.t("media.close"))}">&times;</button>
+                <button type="button" class="media-lightbox-step is-prev" data-lightbox-step="-1" aria-label="${utils.escape(i18n.t("media.previous"))}">&lt;</button>
+                <figure class="media-lightbox-figure">
+                    <div class="media-lightbox-stage"></div>
+                    <figcaption class="media-lightbox-caption"></figcaption>
+                </figure>
+                <button type="button" class="media-lightbox-step is-next" data-lightbox-step="1" aria-label="${utils.escape(i18n.t("media.next"))}">&gt;</button>
+                <p class="media-lightbox-count" aria-live="polite"></p>
+            </div>
+        `,
+
+        mediaSlide: (item) => {
+            if (item.type === "video" && !item.embed) {
+                return `
+                    <a class="media-lightbox-poster" href="${utils.escape(item.url)}" target="_blank" rel="noopener noreferrer" aria-label="${utils.escape(i18n.t("media.watch", { title: item.alt }))}">
+                        ${media.image(item.thumbnail, { width: 1920, height: 1080, loading: "eager" })}
+                        <span class="media-play" aria-hidden="true"></span>
+                    </a>
+                `;
+            }
+
+            if (item.type === "video") {
+                return `
+                    <button type="button" class="media-lightbox-poster" data-lightbox-play aria-label="${utils.escape(i18n.t("media.play", { title: item.alt }))}">
+                        ${media.image(item.thumbnail, { width: 1920, height: 1080, loading: "eager" })}
+                        <span class="media-play" aria-hidden="true"></span>
+                    </button>
+                `;
+            }
+
+            return `
+                <button type="button" class="media-lightbox-zoom" data-lightbox-zoom aria-pressed="false" aria-label="${utils.escape(i18n.t("media.zoom"))}">
+                    ${media.image(item.url, { alt: item.alt, width: 1920, height: 1080, loading: "eager" })}
+                </button>
+            `;
+        },
+
+        mediaVideo: (item) => `
+            <iframe class="media-lightbox-video" src="${utils.escape(item.embed)}" title="${utils.escape(item.alt)}" allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>
+        `,
+
+        supportFeedback: (article) => {
+            const vote = feedback.vote(article.id);
+            return `
+                <section class="support-feedback" data-support-feedback="${utils.escape(article.id)}" aria-label="${utils.escape(i18n.t("feedback.label"))}">
+                    ${vote
+                        ? `<p class="support-feedback-status mb-0">${utils.escape(i18n.t(vote.helpful ? "feedback.ratedHelpful" : "feedback.ratedUnhelpful"))}</p>`
+                        : `
+                            <div class="support-feedback-question">
+                                <p class="fw-bold mb-0">${utils.escape(i18n.t("feedback.question"))}</p>
+                                <div class="d-flex gap-2">
+                                    <button class="btn btn-outline-light btn-sm" type="button" data-support-vote="yes">${utils.escape(i18n.t("feedback.yes"))}</button>
+                                    <button class="btn btn-outline-light btn-sm" type="button" data-support-vote="no">${utils.escape(i18n.t("feedback.no"))}</button>
+                                </div>
+                            </div>
+                            <form class="support-feedback-comment d-none" data-support-feedback-form>
+                                <label class="form-label" for="support-feedback-comment-${utils.escape(article.id)}">${utils.escape(i18n.t("feedback.comment"))}</label>
+                                <textarea id="support-feedback-comment-${utils.escape(article.id)}" class="form-control" name="comment" rows="3" maxlength="1000"></textarea>
+                                <button class="btn btn-outline-light btn-sm mt-2" type="submit">${utils.escape(i18n.t("feedback.send"))}</button>
+                            </form>
+                            <p class="support-feedback-status mb-0" role="status" aria-live="polite"></p>
+                        `}
+                </section>
+            `;
+        },
+
+        launcherPackage: (item, detected = false, { commands = false } = {}) => `
+            <li class="launcher-platform">
+                <a class="launcher-platform-link${detected ? " is-detected" : ""}" href="${utils.escape(item.url)}" download="${utils.escape(item.filename)}">
+                    <span class="launcher-platform-name">
+                        ${utils.escape(utils.launcherPlatform(item.runtime).label)}
+                        ${detected ? `<span class="launcher-platform-badge">${utils.escape(i18n.t("launcher.yourDevice"))}</span>` : ""}
+                    </span>
+                    <span class="launcher-platform-meta">${utils.escape([utils.launcherFormatLabel(item.format), utils.formatBytes(item.size)].filter(Boolean).join(" · "))}</span>
+                </a>
+                ${templates.launcherIntegrity(item, { commands })}
+            </li>
+        `,
+
+        launcherIntegrity: (item, { commands = false } = {}) => {
+            const details = [
+                item.sha256 ? `<code class="launcher-checksum" title="${utils.escape(i18n.t("launcher.checksum"))}">SHA-256 ${item.sha256}</code>` : "",
+                item.signer ? `<span class="launcher-signer">${utils.escape(i18n.t("launcher.signedBy", { signer: item.signer }))}</span>` : "",
+                item.signature ? `<a class="launcher-signature" href="${utils.escape(item.signature)}" download>${utils.escape(i18n.t("launcher.signature"))}</a>` : "",
+            ].filter(Boolean);
+            if (!details.length) return "";
+
+            const verify = utils.verifyCommands(item);
+            return `
+                <div class="launcher-integrity">
+                    ${details.join("")}
+                    ${commands && verify.length ? `
+                        <details class="launcher-verify-commands">
+                            <summary>${utils.escape(i18n.t("launcher.checkFile"))}</summary>
+                            ${verify.map(({ label, command }) => `
+                                <div class="launcher-command">
+                                    <span class="launcher-command-label">${utils.escape(label)}</span>
+                                    <pre><code>${utils.escape(command)}</code></pre>
+                                    <button class="btn btn-outline-light btn-sm" type="button" data-copy-text="${utils.escape(command)}">${utils.escape(i18n.t("common.copy"))}</button>
+                                </div>
+                            `).join("")}
+                        </details>
+                    ` : ""}
+                    ${!commands && verify.length ? `<a class="launcher-verify-link" href="/launcher#launcher-verify">${utils.escape(i18n.t("launcher.howToVerify"))}</a>` : ""}
+                </div>
+            `;
+        },
+
+        launcherRelease: (release, { current = false, match = null } = {}) => {
+            const released = release.released ? dates.element(release.released) : "";
+            const body = `
+                ${release.notes ? `<div class="news-detail-content launcher-notes">${markdown.render(release.notes, { headingOffset: current ? 2 : 3 })}</div>` : ""}
+                ${release.requirements.length ? `
+                    <h${current ? 3 : 4} class="h6 fw-bold mt-4 mb-2">${utils.escape(i18n.t("launcher.requirements"))}</h${current ? 3 : 4}>
+                    <dl class="launcher-requirements">
+                        ${release.requirements.map((item) => `<dt>${utils.escape(item.platform)}</dt><dd>${utils.escape(item.text)}</dd>`).join("")}
+                    </dl>
+                ` : ""}
+                ${release.packages.length ? `
+                    <h${current ? 3 : 4} class="h6 fw-bold mt-4 mb-2">${utils.escape(i18n.t("launcher.downloads"))}</h${current ? 3 : 4}>
+                    <ul class="launcher-platforms-list">${release.packages.map((item) => templates.launcherPackage(item, item === match, { commands: true })).join("")}</ul>
+                ` : ""}
+            `;
+
+            if (current) {
+                return `
+                    <article class="launcher-release is-current">
+                        <div class="support-card-meta">
+                            <span>${utils.escape(i18n.t("launcher.current"))}</span>
+                            ${released ? `<span>${i18n.t("launcher.released", { date: released })}</span>` : ""}
+                        </div>
+                        <h2 class="display-6 fw-bold mb-3">${utils.escape(i18n.t("launcher.version", { version: release.version || i18n.t("launcher.unknownVersion") }))}</h2>
+                        ${match ? `<a class="btn btn-danger btn-lg mb-3" href="${utils.escape(match.url)}" download="${utils.escape(match.filename)}">${utils.escape(i18n.t("launcher.downloadFor", { platform: utils.launcherPlatform(match.runtime).label }))}</a>` : ""}
+                        ${body}
+                    </article>
+                `;
+            }
+
+            return `
+                <details class="launcher-release">
+                    <summary>
+                        <span class="fw-bold">${utils.escape(i18n.t("launcher.version", { version: release.version }))}</span>
+                        ${released ? `<span class="text-muted">${released}</span>` : ""}
+                    </summary>
+                    ${body}
+                </details>
+            `;
+        },
+
+        supportArticleLinks: (articles) => articles.map((article) => `
+            <li>
+                <button class="support-article-link" type="button" data-support-article="${utils.escape(article.id)}">
+                    <span class="support-article-link-title">${utils.escape(article.title)}</span>
+                    ${article.summary ? `<span class="support-article-link-summary">${utils.escape(article.summary)}</span>` : ""}
+                </button>
+            </li>
+        `).join(""),
+
+        supportArticleCard: (article, gameTitle = i18n.t("common.allGames")) => `
             <article class="card support-article-card">
                 <div class="card-body">
                     <div class="support-card-meta">
@@ -320,14 +2301,105 @@
                     <h3 class="modern-card-title mb-2">${utils.escape(article.title)}</h3>
                     <p class="modern-card-summary mb-3">${utils.escape(article.summary)}</p>
                     <div class="support-card-footer">
-                        <time class="modern-card-date mb-0" datetime="${utils.escape(article.updated || article.date || "")}">${utils.escape(article.updated || article.date || "Updated recently")}</time>
-                        <button class="btn btn-outline-light btn-sm" type="button" data-support-article="${utils.escape(article.id)}">Read</button>
+                        ${dates.element(article.updated || article.date, { className: "modern-card-date mb-0", fallback: i18n.t("support.updatedRecently") })}
+                        <button class="btn btn-outline-light btn-sm" type="button" data-support-article="${utils.escape(article.id)}">${utils.escape(i18n.t("support.read"))}</button>
                     </div>
                 </div>
             </article>
         `,
     };
 
+    const seo = {
+        organization: () => ({
+            "@type": "Organization",
+            "@id": "https://reflexinteractive.com/#organization",
+            name: "Reflex Interactive",
+            logo: { "@type": "ImageObject", url: CONFIG.logo },
+            address: {
+                "@type": "PostalAddress",
+                streetAddress: "Bartle House, 9 Oxford Court",
+                addressLocality: "Manchester",
+                postalCode: "M2 3WQ",
+                addressCountry: "GB",
+            },
+        }),
+
+        author: () => ({
+            "@type": "Organization",
+            "@id": "https://reflexinteractive.com/#organization",
+            name: "Reflex Interactive",
+        }),
+
+        tags: (page) => [
+            { attr: "name", key: "description", value: page.description },
+            { attr: "property", key: "og:title", value: page.title },
+            { attr: "property", key: "og:description", value: page.description },
+            { attr: "property", key: "og:image", value: page.image },
+            { attr: "property", key: "og:image:secure_url", value: page.image },
+            { attr: "property", key: "og:image:alt", value: page.imageAlt },
+            { attr: "property", key: "og:url", value: page.url },
+            { attr: "name", key: "twitter:title", value: page.title },
+            { attr: "name", key: "twitter:description", value: page.description },
+            { attr: "name", key: "twitter:image", value: page.image },
+            { attr: "name", key: "twitter:image:alt", value: page.imageAlt },
+        ],
+
+        article: (article) => {
+            const url = `${CONFIG.siteUrl}${utils.detailPath("newswire-details", article)}`;
+            const image = utils.normalizeMedia(article.image_url, 1400);
+            const description = utils.clampDescription(article.summary);
+
+            return {
+                title: `${article.title} | Reflex Interactive`,
+                description,
+                url,
+                image,
+                imageAlt: i18n.t("news.imageAlt", { title: article.title }),
+                jsonLd: {
+                    "@context": "https://schema.org",
+                    "@type": "NewsArticle",
+                    mainEntityOfPage: url,
+                    headline: article.title,
+                    description,
+                    image,
+                    datePublished: dates.iso(article.date) || undefined,
+                    dateModified: dates.iso(article.date) || undefined,
+                    inLanguage: i18n.locale(),
+                    author: seo.author(),
+                    publisher: seo.organization(),
+                },
+            };
+        },
+
+        game: (game) => {
+            const url = `${CONFIG.siteUrl}${utils.detailPath("game-details", game)}`;
+            const image = utils.normalizeMedia(game.image_url, 1200);
+            const description = utils.clampDescription(game.description);
+            const access = utils.gameAccess(game);
+
+            return {
+                title: `${game.title} | Reflex Interactive`,
+                description,
+                url,
+                image,
+                imageAlt: i18n.t("games.officialCoverAlt", { title: game.title }),
+                access,
+                jsonLd: {
+                    name: game.title,
+                    description,
+                    genre: game.genre,
+                    image,
+                    url,
+                    inLanguage: i18n.locale(),
+                    publisher: seo.organization(),
+                    author: seo.author(),
+                    // Left undefined rather than omitted so a stale offer from the page shell is dropped too.
+                    offers: access.offers.length ? access.offers : undefined,
+                },
+            };
+        },
+    };
+
     const ui = {
         initNav: () => {
             const nav = dom.qs(".navbar-custom");
@@ -339,13 +2411,16 @@
             update();
             window.addEventListener("scroll", utils.throttle(update, 40), { passive: true });
 
+            ui.markActiveNav();
+            ui.initMegaMenu();
+        },
+
+        markActiveNav: () => {
             const current = window.location.pathname.replace(/\.html$/, "").replace(/\/$/, "") || "/";
             dom.qsa(".nav-link[href]").forEach((link) => {
-                const href = new URL(link.getAttribute("href"), window.location.origin).pathname.replace(/\/$/, "") || "/";
+                const href = new URL(link.getAttribute("href"), window.location.origin).pathname.replace(/\.html$/, "").replace(/\/$/, "") || "/";
                 link.classList.toggle("active", href === current);
             });
-
-            ui.initMegaMenu();
         },
 
         initEnvironmentLinks: () => {
@@ -372,8 +2447,8 @@
 
                 const url = new URL(rawHref, window.location.href);
                 if (url.origin !== window.location.origin) return;
-                const localPath = CONFIG.localRoutes[url.pathname];
-                if (localPath) link.href = `${localPath}${url.search}${url.hash}`;
+                const localHref = utils.routeHref(`${url.pathname}${url.search}${url.hash}`);
+                if (localHref !== `${url.pathname}${url.search}${url.hash}`) link.href = localHref;
             });
         },
 
@@ -427,95 +2502,118 @@
             });
         },
 
-        initDownloadButtons: async () => {
-            const buttons = dom.qsa(".launcher-download-btn");
-            if (!buttons.length) return;
+        initRegionSelect: () => {
+            const select = dom.id("region-select");
+            if (!select) return;
 
-            const runtime = utils.currentLauncherRuntime();
+            let saved = "";
+            try {
+                saved = localStorage.getItem(utils.regionKey) || "";
+            } catch {
+                saved = "";
+            }
 
-            const removeButtons = () => {
-                buttons.forEach((button) => button.remove());
+            const option = (value, label) => `<option value="${utils.escape(value)}">${utils.escape(label)}</option>`;
+            const label = (code) => {
+                try {
+                    return `${new Intl.DisplayNames([i18n.locale()], { type: "region" }).of(code)} (${CONFIG.regions[code].currency})`;
+                } catch {
+                    return `${CONFIG.regions[code].label} (${CONFIG.regions[code].currency})`;
+                }
             };
+            select.innerHTML = [
+                option("", saved ? i18n.t("region.detect") : label(utils.region())),
+                ...Object.keys(CONFIG.regions).map((code) => option(code, label(code))),
+            ].join("");
+            select.value = CONFIG.regions[saved] ? saved : "";
+        },
 
-            const disable = (label = "Launcher unavailable") => {
-                buttons.forEach((button) => {
-                    button.href = "#";
-                    button.removeAttribute("download");
-                    button.setAttribute("aria-disabled", "true");
-                    button.classList.add("opacity-50", "cursor-not-allowed");
-                    button.textContent = label;
-                });
-            };
+        initLanguageSelect: () => {
+            const locale = i18n.locale();
+            dom.qsa("[data-language-select]").forEach((select) => {
+                select.innerHTML = Object.entries(CONFIG.locales)
+                    .map(([value, label]) => `<option value="${utils.escape(value)}" lang="${utils.escape(value)}">${utils.escape(label)}</option>`)
+                    .join("");
+                select.value = locale;
+            });
+        },
 
-            const enableFallbackDownload = () => {
-                const href = utils.fallbackLauncherPackageUrl();
-                if (!href) {
-                    disable("Launcher temporarily unavailable");
-                    return;
-                }
+        initDownloadButtons: async () => {
+            const buttons = dom.qsa(".launcher-download-btn");
+            const groups = dom.qsa("[data-launcher-download]");
+            if (!buttons.length) return;
+
+            document.addEventListener("keydown", (event) => {
+                if (event.key === "Escape") groups.forEach((group) => ui.toggleLauncherPlatforms(group, false));
+            });
 
+            const setButtons = (href, label, filename = "") => {
                 buttons.forEach((button) => {
-                    button.href = href;
-                    button.download = "Reflex Interactive Launcher.msi";
-                    button.removeAttribute("aria-disabled");
-                    button.classList.remove("opacity-50", "cursor-not-allowed");
-                    button.textContent = "Download Launcher";
+                    button.href = href || "#";
+                    if (filename) button.download = filename;
+                    else button.removeAttribute("download");
+                    if (href) button.removeAttribute("aria-disabled");
+                    else button.setAttribute("aria-disabled", "true");
+                    button.classList.toggle("opacity-50", !href);
+                    button.classList.toggle("cursor-not-allowed", !href);
+                    button.textContent = label;
                 });
             };
 
-            if (!runtime) {
-                removeButtons();
-                return;
-            }
-
-            buttons.forEach((button) => {
-                button.textContent = "Preparing launcher...";
-                button.setAttribute("aria-disabled", "true");
-                button.classList.add("opacity-50", "cursor-not-allowed");
-            });
+            setButtons("", i18n.t("launcher.preparing"));
+            const runtime = await utils.currentLauncherRuntime();
 
             try {
-                const response = await fetch(`${CONFIG.launcher.versionUrl}?t=${Date.now()}`, {
-                    headers: { Accept: "application/json" },
-                    cache: "no-store",
-                });
+                const manifest = await data.launcher();
+                const match = utils.launcherPackageFor(manifest.packages, runtime);
 
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                groups.forEach((group) => {
+                    const list = group.querySelector("[data-launcher-platforms-list]");
+                    if (list) list.innerHTML = manifest.packages.map((item) => templates.launcherPackage(item, item === match)).join("");
+                    group.querySelector("[data-launcher-platforms-toggle]")?.toggleAttribute("hidden", !manifest.packages.length);
+                });
 
-                const packageInfo = await response.json();
-                if (packageInfo.runtime && packageInfo.runtime !== runtime) {
-                    throw new Error(`No launcher package for ${runtime}`);
+                if (match) {
+                    setButtons(match.url, i18n.t("launcher.downloadFor", { platform: utils.launcherPlatform(match.runtime).os }), match.filename);
+                    if (manifest.version) {
+                        buttons.forEach((button) => {
+                            button.insertAdjacentHTML("beforeend", ` <span class="launcher-version">v${utils.escape(manifest.version)}</span>`);
+                            button.setAttribute("aria-label", i18n.t("launcher.downloadLabel", { version: manifest.version, platform: utils.launcherPlatform(match.runtime).label }));
+                        });
+                    }
+                } else if (manifest.packages.length && groups.length) {
+                    // Nothing fits this device, so the main button opens the full platform list instead.
+                    setButtons("", i18n.t("launcher.download"));
+                    buttons.forEach((button) => {
+                        button.removeAttribute("aria-disabled");
+                        button.classList.remove("opacity-50", "cursor-not-allowed");
+                        button.setAttribute("data-launcher-platforms-toggle", "");
+                    });
+                } else {
+                    setButtons("", i18n.t("launcher.unavailable"));
                 }
-
-                const href = utils.launcherPackageUrl(packageInfo);
-                if (!href) throw new Error(`No launcher package for ${runtime}`);
-
-                buttons.forEach((button) => {
-                    button.href = href;
-                    button.download = packageInfo.installer || packageInfo.filename || `ReflexInteractiveLauncher-${runtime}.msi`;
-                    button.removeAttribute("aria-disabled");
-                    button.classList.remove("opacity-50", "cursor-not-allowed");
-                    button.textContent = "Download Launcher";
-                });
             } catch (error) {
                 console.warn("[Launcher] Version file unavailable", error);
-                enableFallbackDownload();
+                const href = runtime.startsWith("win-") ? utils.fallbackLauncherPackageUrl() : "";
+                setButtons(href, href ? i18n.t("launcher.downloadFor", { platform: "Windows" }) : i18n.t("launcher.temporarilyUnavailable"), href ? "Reflex Interactive Launcher.msi" : "");
+                groups.forEach((group) => group.querySelector("[data-launcher-platforms-toggle]")?.setAttribute("hidden", ""));
             }
         },
 
-        fallbackLauncherPackageUrl: () => {
-            try {
-                return new URL("Reflex Interactive Launcher.msi", `${CONFIG.launcher.baseUrl.replace(/\/$/, "")}/`).toString();
-            } catch {
-                return "";
-            }
+        toggleLauncherPlatforms: (group, open) => {
+            const menu = group?.querySelector("[data-launcher-platforms]");
+            if (!menu) return;
+
+            const next = open ?? menu.hidden;
+            menu.hidden = !next;
+            group.querySelectorAll("[data-launcher-platforms-toggle]").forEach((toggle) => toggle.setAttribute("aria-expanded", String(next)));
         },
 
-        initReveal: () => {
-            const revealables = ".reveal-on-scroll, .reveal-on-load, .hero-entry, .card, .feature-card";
+        revealables: ".reveal-on-scroll, .reveal-on-load, .hero-entry, .card, .feature-card",
 
+        initReveal: () => {
             if (!("IntersectionObserver" in window) || window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
-                dom.qsa(revealables).forEach((node) => node.classList.add("visible"));
+                ui.reveal(document);
                 return;
             }
 
@@ -531,8 +2629,17 @@
                 });
             }, { rootMargin: "0px 0px -8% 0px", threshold: 0.08 });
 
-            dom.qsa(revealables).forEach((node) => state.revealObserver.observe(node));
-            dom.qsa(".hero-entry, .reveal-on-load").forEach((node, index) => {
+            ui.reveal(document);
+        },
+
+        reveal: (root) => {
+            if (!state.revealObserver) {
+                dom.qsa(ui.revealables, root).forEach((node) => node.classList.add("visible"));
+                return;
+            }
+
+            dom.qsa(ui.revealables, root).forEach((node) => state.revealObserver.observe(node));
+            dom.qsa(".hero-entry, .reveal-on-load", root).forEach((node, index) => {
                 window.setTimeout(() => node.classList.add("visible"), 90 + index * CONFIG.revealDelay);
             });
         },
@@ -556,11 +2663,41 @@
             rail.scrollBy({ left: direction * distance, behavior: "smooth" });
         },
 
+        cacheNotice: (storedAt = 0) => {
+            let notice = dom.id("cache-notice");
+            const shown = Number(notice?.dataset.storedAt);
+            if (notice && shown && shown <= storedAt) return;
+
+            if (!notice) {
+                notice = document.createElement("div");
+                notice.id = "cache-notice";
+                notice.className = "cache-notice";
+                notice.setAttribute("role", "status");
+                document.body.appendChild(notice);
+            }
+
+            const label = storedAt
+                ? `<time datetime="${new Date(storedAt).toISOString()}">${utils.escape(dates.format(storedAt, { dateStyle: "medium", timeStyle: "short" }))}</time>`
+                : utils.escape(i18n.t("cache.earlier"));
+            notice.dataset.storedAt = String(storedAt);
+            notice.innerHTML = `
+                <span>${i18n.t("cache.notice", { date: label })}</span>
+                <button type="button" data-dismiss-cache-notice aria-label="${utils.escape(i18n.t("cache.dismiss"))}">&times;</button>
+            `;
+        },
+
+        initServiceWorker: () => {
+            if (!("serviceWorker" in navigator) || utils.isLocal() || state.supportHost) return;
+
+            navigator.serviceWorker.register(`/sw.js?v=${encodeURIComponent(CONFIG.version)}`)
+                .catch((error) => console.warn("[ServiceWorker] Registration failed", error));
+        },
+
         initBackToTop: () => {
             const button = document.createElement("button");
             button.className = "scroll-to-top";
             button.type = "button";
-            button.setAttribute("aria-label", "Back to top");
+            button.setAttribute("aria-label", i18n.t("common.backToTop"));
             button.textContent = "^";
             document.body.appendChild(button);
 
@@ -573,7 +2710,7 @@
     };
 
     const render = {
-        collection: async ({ containerId, spinnerId, loader, template, empty, limit = null }) => {
+        collection: async ({ containerId, spinnerId, loader, template, empty, none = "", limit = null }) => {
             const container = dom.id(containerId);
             if (!container) return;
 
@@ -585,38 +2722,257 @@
                 const isRail = container.classList.contains("content-rail");
                 const fragment = document.createDocumentFragment();
 
-                visible.forEach((item) => {
-                    const wrapper = document.createElement("div");
-                    wrapper.className = isRail ? "rail-item" : "col";
-                    wrapper.innerHTML = template(item);
-                    ui.observe(wrapper.firstElementChild);
-                    fragment.appendChild(wrapper);
-                });
+                visible.forEach((item) => {
+                    const wrapper = document.createElement("div");
+                    wrapper.className = isRail ? "rail-item" : "col";
+                    wrapper.innerHTML = template(item);
+                    ui.observe(wrapper.firstElementChild);
+                    fragment.appendChild(wrapper);
+                });
+
+                container.replaceChildren(fragment);
+                if (!visible.length && none) container.innerHTML = `<div class="col-12 text-center text-muted py-5">${utils.escape(none)}</div>`;
+            } catch (error) {
+                diagnostics.error(`[Render] ${containerId}`, error);
+                container.innerHTML = `<div class="text-center text-danger py-5">${utils.escape(empty)}</div>`;
+            } finally {
+                utils.spinner(spinnerId, false);
+            }
+        },
+
+        newsList: (containerId) => render.collection({
+            containerId,
+            spinnerId: containerId.includes("latest") ? "homepage-loading-spinner" : "loading-spinner",
+            loader: data.news,
+            template: templates.newsCard,
+            empty: i18n.t("news.unavailable"),
+            limit: containerId.includes("latest") ? 6 : null,
+        }).then(() => render.newsSchema(containerId)),
+
+        newsPage: async () => {
+            const filters = utils.newsFilters();
+
+            await render.collection({
+                containerId: "news-container",
+                spinnerId: "loading-spinner",
+                loader: async () => {
+                    const [articles, games] = await Promise.all([data.news(), data.games().catch(() => [])]);
+                    const view = utils.newsView(articles, filters);
+                    render.newsControls(articles, games, view);
+                    return view.items;
+                },
+                template: templates.newsCard,
+                empty: i18n.t("news.unavailable"),
+                none: i18n.t("news.none"),
+            });
+            render.newsSchema("news-container");
+        },
+
+        newsControls: (articles, games, view) => {
+            const { filters, total, start, items } = view;
+            const categories = [...new Set(articles.map((article) => article.category).filter(Boolean))].sort();
+            const gameIds = [...new Set(articles.map((article) => article.game_id).filter(Boolean))];
+            const tags = [...articles.reduce((counts, article) => {
+                article.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+                return counts;
+            }, new Map())].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+            const gameTitle = (id) => games.find((game) => utils.gameMatchesId(game, id))?.title || id;
+
+            const fill = (select, placeholder, options, value) => {
+                if (!select) return;
+                select.innerHTML = `<option value="">${placeholder}</option>${options
+                    .map(([optionValue, label]) => `<option value="${utils.escape(optionValue)}">${utils.escape(label)}</option>`)
+                    .join("")}`;
+                select.value = value;
+                select.closest(".news-filter")?.classList.toggle("d-none", !options.length);
+            };
+
+            fill(dom.id("news-filter-category"), utils.escape(i18n.t("news.allCategories")), categories.map((value) => [value, utils.categoryLabel(value)]), filters.category);
+            fill(dom.id("news-filter-game"), utils.escape(i18n.t("common.allGames")), gameIds.map((id) => [id, gameTitle(id)]), filters.game);
+
+            const tagNav = dom.id("news-tags");
+            if (tagNav) {
+                tagNav.innerHTML = tags.length
+                    ? [
+                        templates.newsTag(i18n.t("news.allTopics"), { ...filters, tag: "" }, !filters.tag),
+                        ...tags.map(([tag, count]) => templates.newsTag(utils.categoryLabel(tag), { ...filters, tag }, tag === filters.tag, count)),
+                    ].join("")
+                    : "";
+                tagNav.classList.toggle("d-none", !tags.length);
+            }
+
+            const active = Boolean(filters.tag || filters.category || filters.game);
+            const clear = dom.id("news-filter-clear");
+            if (clear) {
+                clear.href = utils.newsHref({});
+                clear.classList.toggle("d-none", !active);
+            }
+
+            const labels = [];
+            if (filters.tag) labels.push(i18n.t("news.filterTag", { tag: utils.categoryLabel(filters.tag) }));
+            if (filters.category) labels.push(i18n.t("news.filterCategory", { category: utils.categoryLabel(filters.category) }));
+            if (filters.game) labels.push(i18n.t("news.filterGame", { game: gameTitle(filters.game) }));
+
+            const summary = dom.id("news-filter-summary");
+            if (summary) {
+                const described = labels.length ? ` ${labels.join(", ")}` : "";
+                summary.textContent = total
+                    ? i18n.t("news.summary", { from: start + 1, to: start + items.length, count: total, filters: described })
+                    : i18n.t("news.summaryNone", { filters: described });
+            }
+
+            dom.id("news-filters")?.classList.toggle("d-none", !categories.length && !gameIds.length && !tags.length);
+
+            const pagination = dom.id("news-pagination");
+            if (pagination) pagination.innerHTML = templates.newsPagination(view);
+        },
+
+        launcherPage: async () => {
+            const container = dom.id("launcher-current");
+            if (!container) return;
+
+            utils.spinner("launcher-loading", true);
+            try {
+                const [manifest, runtime] = await Promise.all([data.launcher(), utils.currentLauncherRuntime()]);
+                const match = utils.launcherPackageFor(manifest.packages, runtime);
+
+                container.innerHTML = templates.launcherRelease(manifest, { current: true, match });
+                const history = dom.id("launcher-history");
+                if (history) {
+                    history.innerHTML = manifest.history.length
+                        ? manifest.history.map((release) => templates.launcherRelease(release)).join("")
+                        : `<p class="text-muted mb-0">${utils.escape(i18n.t("launcher.noHistory"))}</p>`;
+                }
+                dom.id("launcher-history-section")?.classList.remove("d-none");
+                dom.id("launcher-verify")?.classList.toggle("d-none", ![manifest, ...manifest.history].some((release) => release.packages.some((item) => item.sha256)));
+            } catch (error) {
+                diagnostics.error("[Render] launcher", error);
+                container.innerHTML = `<div class="support-empty-state text-danger">${utils.escape(i18n.t("launcher.pageUnavailable"))}</div>`;
+            } finally {
+                utils.spinner("launcher-loading", false);
+            }
+        },
+
+        newsletterPage: async (view = "") => {
+            const panel = dom.id("newsletter-panel");
+            if (!panel) return;
+
+            const token = new URLSearchParams(window.location.search).get("token") || "";
+            const heading = dom.id("newsletter-heading");
+            const show = (title, body) => {
+                if (heading) heading.textContent = title;
+                panel.innerHTML = body;
+            };
+            const failure = (result) => show(i18n.t("newsletter.failed"), `<p class="mb-0">${utils.escape(events.newsletterMessage(result))}</p>`);
+            const manage = (manageToken) => `/newsletter/preferences?token=${encodeURIComponent(manageToken)}`;
+
+            if (!token) return failure({ error: "invalid_token" });
+
+            try {
+                if (view === "confirm") {
+                    const result = await events.newsletter({ action: "confirm", token });
+                    if (!result.ok) return failure(result);
+                    return show(i18n.t("newsletter.subscribed"), `
+                        <p>${utils.escape(i18n.t("newsletter.confirmed", { email: result.email }))}</p>
+                        <a class="btn btn-danger" href="${manage(result.token)}">${utils.escape(i18n.t("newsletter.chooseTopics"))}</a>
+                    `);
+                }
+
+                if (view === "unsubscribe") {
+                    show(i18n.t("newsletter.unsubscribe"), `
+                        <p>${utils.escape(i18n.t("newsletter.unsubscribeQuestion"))}</p>
+                        <div class="d-flex flex-wrap gap-2">
+                            <button class="btn btn-danger" type="button" data-newsletter-unsubscribe>${utils.escape(i18n.t("newsletter.unsubscribe"))}</button>
+                            <a class="btn btn-outline-light" href="${manage(token)}">${utils.escape(i18n.t("newsletter.changeTopics"))}</a>
+                        </div>
+                    `);
+                    return;
+                }
+
+                const [result, games] = await Promise.all([
+                    events.newsletter({ action: "preferences", token }),
+                    data.games().catch(() => []),
+                ]);
+                if (!result.ok) return failure(result);
+                if (result.status !== "confirmed") return failure({ error: "not_subscribed" });
+
+                const topic = (value, label) => `
+                    <label class="form-check-label">
+                        <input class="form-check-input me-2" type="checkbox" name="topics" value="${utils.escape(value)}"${result.topics.includes(value) ? " checked" : ""}>
+                        ${utils.escape(label)}
+                    </label>
+                `;
+                show(i18n.t("newsletter.preferences"), `
+                    <p class="text-muted">${utils.escape(i18n.t("newsletter.choose", { email: result.email }))}</p>
+                    <form id="newsletter-preferences-form">
+                        <fieldset class="newsletter-preferences">
+                            <legend>${utils.escape(i18n.t("newsletter.studio"))}</legend>
+                            ${topic("studio-news", i18n.t("newsletter.studioNews"))}
+                            ${topic("patch-notes", i18n.t("newsletter.patchNotes"))}
+                        </fieldset>
+                        ${games.length ? `
+                            <fieldset class="newsletter-preferences">
+                                <legend>${utils.escape(i18n.t("newsletter.games"))}</legend>
+                                ${games.map((game) => topic(`game:${game.slug}`, game.title)).join("")}
+                            </fieldset>
+                        ` : ""}
+                        <div class="d-flex flex-wrap align-items-center gap-3">
+                            <button class="btn btn-danger" type="submit">${utils.escape(i18n.t("newsletter.save"))}</button>
+                            <a class="footer-link" href="/newsletter/unsubscribe?token=${encodeURIComponent(token)}">${utils.escape(i18n.t("newsletter.unsubscribeAll"))}</a>
+                        </div>
+                        <p id="newsletter-page-status" class="newsletter-status mb-0 mt-3" role="status" aria-live="polite"></p>
+                    </form>
+                `);
+            } catch (error) {
+                diagnostics.error("[Render] newsletter", error);
+                failure({});
+            }
+        },
+
+        searchPage: async () => {
+            const container = dom.id("search-results");
+            if (!container) return;
+
+            const query = (new URLSearchParams(window.location.search).get("q") || "").trim();
+            const summary = dom.id("search-summary");
+            dom.qsa("[data-site-search] input[name='q']").forEach((input) => {
+                input.value = query;
+            });
+
+            if (!query) {
+                container.innerHTML = "";
+                if (summary) summary.textContent = i18n.t("search.prompt");
+                return;
+            }
 
-                container.replaceChildren(fragment);
+            document.title = i18n.t("search.title", { query });
+            utils.spinner("search-loading", true);
+
+            try {
+                const results = search.run(await search.index(), query);
+                if (summary) summary.textContent = results.length
+                    ? i18n.t("search.results", { count: results.length, query })
+                    : i18n.t("search.none", { query });
+
+                container.innerHTML = search.groups
+                    .map((type) => [type, results.filter((result) => result.doc.type === type)])
+                    .filter(([, group]) => group.length)
+                    .map(([type, group]) => templates.searchGroup(type, group))
+                    .join("");
             } catch (error) {
-                console.error(`[Render] ${containerId}`, error);
-                container.innerHTML = `<div class="text-center text-danger py-5">${utils.escape(empty)}</div>`;
+                diagnostics.error("[Render] search", error);
+                container.innerHTML = `<div class="text-center text-danger py-5">${utils.escape(i18n.t("search.unavailable"))}</div>`;
             } finally {
-                utils.spinner(spinnerId, false);
+                utils.spinner("search-loading", false);
             }
         },
 
-        newsList: (containerId) => render.collection({
-            containerId,
-            spinnerId: containerId.includes("latest") ? "homepage-loading-spinner" : "loading-spinner",
-            loader: data.news,
-            template: templates.newsCard,
-            empty: "Newswire is temporarily unavailable.",
-            limit: containerId.includes("latest") ? 6 : null,
-        }).then(() => render.newsSchema(containerId)),
-
         gameList: (containerId) => render.collection({
             containerId,
             spinnerId: containerId.includes("latest") ? "homepage-games-loading-spinner" : "games-loading-spinner",
             loader: data.games,
             template: templates.gameCard,
-            empty: "Game catalog is temporarily unavailable.",
+            empty: i18n.t("games.unavailable"),
             limit: containerId.includes("latest") ? 6 : null,
         }).then(() => render.gamesSchema(containerId)),
 
@@ -634,7 +2990,7 @@
                     itemListElement: games.map((game, index) => ({
                         "@type": "ListItem",
                         position: index + 1,
-                        url: `${CONFIG.siteUrl}${utils.detailHref("game-details", game.id)}`,
+                        url: `${CONFIG.siteUrl}${utils.detailPath("game-details", game)}`,
                         name: game.title,
                     })),
                 };
@@ -655,8 +3011,8 @@
                 payload.blogPost = articles.map((article) => ({
                     "@type": "BlogPosting",
                     headline: article.title,
-                    url: `${CONFIG.siteUrl}${utils.detailHref("newswire-details", article.id)}`,
-                    datePublished: article.date,
+                    url: `${CONFIG.siteUrl}${utils.detailPath("newswire-details", article)}`,
+                    datePublished: dates.iso(article.date) || undefined,
                     image: utils.normalizeMedia(article.image_url, 1200),
                     description: utils.clampDescription(article.summary),
                 }));
@@ -674,8 +3030,8 @@
                 const games = await data.games();
                 rail.innerHTML = games.slice(0, 8).map(templates.navGame).join("");
             } catch (error) {
-                console.error("[Render] nav games", error);
-                rail.innerHTML = '<p class="text-danger mb-0">Games unavailable.</p>';
+                diagnostics.error("[Render] nav games", error);
+                rail.innerHTML = `<p class="text-danger mb-0">${utils.escape(i18n.t("games.navUnavailable"))}</p>`;
             }
         },
 
@@ -684,6 +3040,33 @@
                 render.supportGames(),
                 render.supportArticles(),
             ]);
+            render.supportDeepLink();
+        },
+
+        supportDeepLink: () => {
+            const params = new URLSearchParams(window.location.search);
+            const query = params.get("q") || "";
+            const category = params.get("category") || "";
+            const gameId = params.get("game") || "";
+            const articleId = params.get("article") || "";
+
+            if (query) {
+                state.support.query = query;
+                const input = dom.id("support-search-input");
+                if (input) input.value = query;
+            }
+
+            if (category) {
+                state.support.selectedCategory = category;
+                const select = dom.id("support-ticket-category");
+                if (select) select.value = category;
+            }
+
+            const game = gameId ? state.support.games.find((item) => utils.gameMatchesId(item, gameId)) : null;
+            if (game) events.selectSupportGame(game.id, game.title, false);
+            else if (query || category) render.supportArticleResults();
+
+            if (articleId) render.supportArticleDetail(articleId);
         },
 
         supportGames: async () => {
@@ -706,8 +3089,8 @@
                 render.supportGameOptions(games);
                 if (state.support.articles.length) render.supportArticleResults();
             } catch (error) {
-                console.error("[Render] support games", error);
-                container.innerHTML = '<div class="col text-center text-danger py-5">Game support categories are temporarily unavailable.</div>';
+                diagnostics.error("[Render] support games", error);
+                container.innerHTML = `<div class="col text-center text-danger py-5">${utils.escape(i18n.t("support.gamesUnavailable"))}</div>`;
             }
         },
 
@@ -716,7 +3099,7 @@
             if (!select) return;
 
             const selected = select.value;
-            select.innerHTML = '<option value="">Not game-specific</option>';
+            select.innerHTML = `<option value="">${utils.escape(i18n.t("support.notGameSpecific"))}</option>`;
             games.forEach((game) => {
                 const option = document.createElement("option");
                 option.value = game.id;
@@ -733,10 +3116,12 @@
             utils.spinner("support-articles-loading", true);
             try {
                 state.support.articles = await data.supportArticles();
+                state.support.index = search.build(state.support.articles.map(search.documents.supportArticles));
                 render.supportArticleResults();
+                render.supportTicketSuggestions();
             } catch (error) {
-                console.error("[Render] support articles", error);
-                container.innerHTML = '<div class="support-empty-state text-danger">Support articles are temporarily unavailable. Please email support@reflexinteractive.com.</div>';
+                diagnostics.error("[Render] support articles", error);
+                container.innerHTML = `<div class="support-empty-state text-danger">${utils.escape(i18n.t("support.articlesUnavailable"))}</div>`;
             } finally {
                 utils.spinner("support-articles-loading", false);
             }
@@ -747,39 +3132,27 @@
             const summary = dom.id("support-active-filters");
             if (!container) return;
 
-            const query = state.support.query.trim().toLowerCase();
+            const query = state.support.query.trim();
             const category = state.support.selectedCategory;
             const gameId = state.support.selectedGame;
             const gameMap = new Map(state.support.games.map((game) => [String(game.id), game.title]));
+            const ranked = query ? search.run(state.support.index, query).map((result) => result.doc.id) : null;
 
-            const articles = state.support.articles.filter((article) => {
-                const articleGame = String(article.game_id || "all");
-                const matchesGame = !gameId || articleGame === "all" || articleGame === "general" || articleGame === String(gameId);
-                const matchesCategory = !category || article.category === category;
-                const haystack = [
-                    article.title,
-                    article.summary,
-                    article.category,
-                    articleGame,
-                    ...(Array.isArray(article.tags) ? article.tags : []),
-                    utils.articleText(article),
-                ].join(" ").toLowerCase();
-                const matchesQuery = !query || haystack.includes(query);
-                return matchesGame && matchesCategory && matchesQuery;
-            });
+            const articles = (ranked ? ranked.map((id) => state.support.articles.find((article) => article.id === id)) : state.support.articles)
+                .filter((article) => utils.supportArticleMatches(article, { category, gameId }));
 
             const labels = [];
-            if (query) labels.push(`search "${state.support.query.trim()}"`);
+            if (query) labels.push(i18n.t("support.filterSearch", { query }));
             if (category) labels.push(utils.categoryLabel(category));
-            if (gameId) labels.push(state.support.selectedGameTitle || gameMap.get(String(gameId)) || "Selected game");
-            if (summary) summary.textContent = `${articles.length} article${articles.length === 1 ? "" : "s"} shown${labels.length ? ` for ${labels.join(", ")}` : ""}`;
+            if (gameId) labels.push(state.support.selectedGameTitle || gameMap.get(String(gameId)) || i18n.t("support.selectedGame"));
+            if (summary) summary.textContent = i18n.t(labels.length ? "support.summaryFor" : "support.summary", { count: articles.length, filters: labels.join(", ") });
 
             if (!articles.length) {
                 container.innerHTML = `
                     <div class="support-empty-state">
-                        <h3 class="h5 fw-bold mb-2">No matching articles</h3>
-                        <p class="text-muted mb-3">Try another search or send a ticket and include as much detail as possible.</p>
-                        <a class="btn btn-danger" href="#contact-section">Contact support</a>
+                        <h3 class="h5 fw-bold mb-2">${utils.escape(i18n.t("support.noMatches"))}</h3>
+                        <p class="text-muted mb-3">${utils.escape(i18n.t("support.noMatchesHint"))}</p>
+                        <a class="btn btn-danger" href="#contact-section">${utils.escape(i18n.t("support.contact"))}</a>
                     </div>
                 `;
                 return;
@@ -787,9 +3160,9 @@
 
             const fragment = document.createDocumentFragment();
             articles.forEach((article) => {
-                const gameTitle = article.game_id && article.game_id !== "all"
-                    ? gameMap.get(String(article.game_id)) || "Selected game"
-                    : "All games";
+                const gameTitle = article.game_id !== "all"
+                    ? gameMap.get(article.game_id) || i18n.t("support.selectedGame")
+                    : i18n.t("common.allGames");
                 const wrapper = document.createElement("div");
                 wrapper.innerHTML = templates.supportArticleCard(article, gameTitle);
                 ui.observe(wrapper.firstElementChild);
@@ -798,20 +3171,46 @@
             container.replaceChildren(fragment);
         },
 
-        supportArticleContent: (article) => {
-            if (typeof article.content === "string") return utils.textToHTML(article.content);
-            if (!Array.isArray(article.content)) return "";
-
-            return article.content.map((block) => {
-                if (typeof block === "string") return utils.textToHTML(block);
-                if (block.type === "list" && Array.isArray(block.items)) {
-                    return `<ul>${block.items.map((item) => `<li>${utils.escape(item)}</li>`).join("")}</ul>`;
-                }
-                if (block.type === "heading") return `<h3>${utils.escape(block.text)}</h3>`;
-                return `<p>${utils.escape(block.text || "")}</p>`;
-            }).join("");
+        supportTicketSuggestions: () => {
+            const container = dom.id("support-ticket-suggestions");
+            const list = dom.id("support-ticket-suggestions-list");
+            if (!container || !list) return;
+
+            const category = dom.id("support-ticket-category")?.value || "";
+            const subject = dom.id("support-ticket-subject")?.value.trim() || "";
+            // Picking a category pre-fills the subject; that text says nothing about the problem itself.
+            const typed = subject === utils.supportSubject(category) ? "" : subject;
+            const message = dom.id("support-ticket-message")?.value || "";
+            const filters = { category: category === "general" ? "" : category, gameId: dom.id("support-ticket-game")?.value || "" };
+
+            // The subject plus the first few distinct words of the message say what the ticket is about;
+            // matching every word of a long message is slow and pulls in unrelated articles.
+            const words = (value) => search.tokens(value).filter((word) => !search.stopWords.has(word));
+            const subjectWords = words(typed);
+            const messageWords = [...new Set(words(message))].filter((word) => !subjectWords.includes(word)).slice(0, search.suggestTerms);
+            const query = [...subjectWords, ...messageWords].join(" ");
+            const terms = [...new Set(search.terms(query))];
+
+            const key = `${terms.sort().join(" ")}|${filters.category}|${filters.gameId}|${Boolean(state.support.index)}`;
+            if (key === state.support.suggestKey) return;
+            state.support.suggestKey = key;
+
+            const suggestions = `${typed} ${message}`.trim().length < 12 || !state.support.index ? [] : search.run(state.support.index, query)
+                .filter((result) => result.terms.size >= Math.min(2, terms.length))
+                .map((result) => state.support.articles.find((article) => article.id === result.doc.id))
+                .filter((article) => article && utils.supportArticleMatches(article, filters))
+                .slice(0, 3);
+
+            list.innerHTML = templates.supportArticleLinks(suggestions);
+            container.classList.toggle("d-none", !suggestions.length);
         },
 
+        supportArticleContent: (article) => article.content.map((block) => {
+            if (block.type === "list") return `<ul>${block.items.map((item) => `<li>${markdown.inline(item)}</li>`).join("")}</ul>`;
+            if (block.type === "heading") return `<h3>${markdown.inline(block.text)}</h3>`;
+            return markdown.render(block.text, { headingOffset: 3 });
+        }).join(""),
+
         supportArticleDetail: (id) => {
             const viewer = dom.id("support-article-viewer");
             if (!viewer) return;
@@ -819,28 +3218,38 @@
             const article = state.support.articles.find((item) => String(item.id) === String(id));
             if (!article) return;
 
-            const game = state.support.games.find((item) => String(item.id) === String(article.game_id));
+            const game = state.support.games.find((item) => item.id === article.game_id);
+            const related = utils.relatedSupportArticles(article, state.support.articles);
             viewer.innerHTML = `
                 <article class="support-article-detail">
-                    <button class="support-back-link" type="button" data-support-close-article>Back to articles</button>
+                    <button class="support-back-link" type="button" data-support-close-article>${utils.escape(i18n.t("support.back"))}</button>
                     <div class="support-card-meta mb-3">
                         <span>${utils.escape(utils.categoryLabel(article.category))}</span>
-                        <span>${utils.escape(game?.title || "All games")}</span>
-                        <time datetime="${utils.escape(article.updated || article.date || "")}">${utils.escape(article.updated || article.date || "Updated recently")}</time>
+                        <span>${utils.escape(game?.title || i18n.t("common.allGames"))}</span>
+                        ${dates.element(article.updated || article.date, { fallback: i18n.t("support.updatedRecently") })}
                     </div>
                     <h3 class="display-6 fw-bold mb-3">${utils.escape(article.title)}</h3>
                     <p class="text-muted fs-5">${utils.escape(article.summary || "")}</p>
                     <div class="news-detail-content support-detail-content">
                         ${render.supportArticleContent(article)}
                     </div>
+                    ${related.length ? `
+                        <nav class="support-related" aria-labelledby="support-related-heading">
+                            <h4 id="support-related-heading" class="h6 fw-bold mb-2">${utils.escape(i18n.t("support.related"))}</h4>
+                            <ul class="support-article-links">${templates.supportArticleLinks(related)}</ul>
+                        </nav>
+                    ` : ""}
+                    ${templates.supportFeedback(article)}
                     <div class="d-flex flex-wrap gap-2 mt-4">
-                        <button class="btn btn-danger" type="button" data-support-article-ticket="${utils.escape(article.id)}">Use in support ticket</button>
-                        <a class="btn btn-outline-light" href="#contact-section">Contact support</a>
+                        <button class="btn btn-danger" type="button" data-support-article-ticket="${utils.escape(article.id)}">${utils.escape(i18n.t("support.useInTicket"))}</button>
+                        <a class="btn btn-outline-light" href="#contact-section">${utils.escape(i18n.t("support.contact"))}</a>
                     </div>
                 </article>
             `;
+            feedback.read(article.id);
             viewer.classList.remove("d-none");
             viewer.scrollIntoView({ behavior: "smooth", block: "start" });
+            events.supportLocation({ article: article.id });
         },
 
         featuredGame: async () => {
@@ -849,226 +3258,146 @@
 
             try {
                 const [game] = await data.games();
-                const image = utils.normalizeMedia(game.hero_image_url || game.image_url, 900);
                 slot.innerHTML = `
                     <div class="row g-0 align-items-stretch">
                         <div class="col-12 col-lg-5">
                             <div class="featured-media">
-                                <img src="${image}" alt="${utils.escape(game.title)} key art" width="900" height="506" loading="lazy" decoding="async">
+                                ${media.image(game.hero_image_url, { alt: i18n.t("games.keyArtAlt", { title: game.title }), width: 900, height: 506, sizes: media.sizes.featured })}
                             </div>
                         </div>
                         <div class="col-12 col-lg-7">
                             <div class="featured-body">
-                                <p class="section-kicker mb-3">Featured Game</p>
+                                <p class="section-kicker mb-3">${utils.escape(i18n.t("games.featured"))}</p>
                                 <h3 class="display-5 fw-bold mb-3">${utils.escape(game.title)}</h3>
                                 <div class="d-flex flex-wrap gap-3">
-                                    <a href="${utils.detailHref("game-details", game.id)}" class="btn btn-danger">Explore</a>
-                                    <a href="/games" class="btn btn-outline-light">View All</a>
+                                    <a href="${utils.detailHref("game-details", game)}" class="btn btn-danger">${utils.escape(i18n.t("games.featuredExplore"))}</a>
+                                    <a href="/games" class="btn btn-outline-light">${utils.escape(i18n.t("games.featuredAll"))}</a>
                                 </div>
                             </div>
                         </div>
                     </div>
                 `;
             } catch (error) {
-                console.error("[Render] featured game", error);
-                slot.innerHTML = '<div class="featured-body text-center text-muted">Featured game unavailable.</div>';
+                diagnostics.error("[Render] featured game", error);
+                slot.innerHTML = `<div class="featured-body text-center text-muted">${utils.escape(i18n.t("games.featuredUnavailable"))}</div>`;
             }
         },
 
+        pageMeta: (page) => {
+            document.title = page.title;
+            dom.setCanonical(page.url);
+            dom.setAlternates(i18n.alternates(page.url));
+            seo.tags(page).forEach(({ attr, key, value }) => dom.setMeta(`meta[${attr}="${key}"]`, value));
+        },
+
         articleDetail: async (id) => {
-            if (!id) return app.message("Article not found.", "/newswire", "Back to Newswire");
+            if (!id) return app.message(i18n.t("news.notFound"), "/newswire", i18n.t("news.back"));
 
             try {
                 const articles = await data.news();
-                const article = articles.find((item) => String(item.id) === String(id));
+                const article = articles.find((item) => utils.articleMatchesId(item, id));
                 if (!article) throw new Error("Article not found");
+                utils.canonicalizeUrl("newswire-details", article);
 
-                const url = `${CONFIG.siteUrl}${utils.detailHref("newswire-details", article.id)}`;
-                const image = utils.normalizeMedia(article.image_url, 1400);
-                const description = utils.clampDescription(article.summary);
-                const title = `${article.title} | Reflex Interactive`;
-
-                document.title = title;
-                dom.setCanonical(url);
-                dom.setMeta('meta[name="description"]', description);
-                dom.setMeta('meta[property="og:title"]', title);
-                dom.setMeta('meta[property="og:description"]', description);
-                dom.setMeta('meta[property="og:image"]', image);
-                dom.setMeta('meta[property="og:image:secure_url"]', image);
-                dom.setMeta('meta[property="og:image:alt"]', `Newswire key art for ${article.title}`);
-                dom.setMeta('meta[property="og:url"]', url);
-                dom.setMeta('meta[name="twitter:title"]', title);
-                dom.setMeta('meta[name="twitter:description"]', description);
-                dom.setMeta('meta[name="twitter:image"]', image);
-                dom.setMeta('meta[name="twitter:image:alt"]', `Newswire key art for ${article.title}`);
+                const page = seo.article(article);
+                render.pageMeta(page);
 
                 const schema = dom.id("news-schema");
-                if (schema) {
-                    schema.text = JSON.stringify({
-                        "@context": "https://schema.org",
-                        "@type": "NewsArticle",
-                        mainEntityOfPage: url,
-                        headline: article.title,
-                        description,
-                        image,
-                        datePublished: article.date,
-                        dateModified: article.date,
-                        inLanguage: CONFIG.locale,
-                        author: { "@type": "Organization", "@id": "https://reflexinteractive.com/#organization", name: "Reflex Interactive" },
-                        publisher: {
-                            "@type": "Organization",
-                            "@id": "https://reflexinteractive.com/#organization",
-                            name: "Reflex Interactive",
-                            logo: { "@type": "ImageObject", url: CONFIG.logo },
-                            address: {
-                                "@type": "PostalAddress",
-                                streetAddress: "Bartle House, 9 Oxford Court",
-                                addressLocality: "Manchester",
-                                postalCode: "M2 3WQ",
-                                addressCountry: "GB",
-                            },
-                        },
-                    });
-                }
+                if (schema) schema.text = JSON.stringify(page.jsonLd);
 
                 dom.setText("article-title", article.title);
-                dom.setText("article-date", article.date);
-                dom.setHTML("article-content", utils.textToHTML(article.content));
-
-                const img = dom.id("article-image");
-                if (img) {
-                    img.src = image;
-                    img.alt = `Newswire key art for ${article.title}`;
+                const date = dom.id("article-date");
+                if (date) {
+                    date.textContent = dates.label(article.date);
+                    date.title = dates.iso(article.date) ? dates.format(article.date) : "";
+                    if (dates.iso(article.date)) date.setAttribute("datetime", dates.iso(article.date));
+                    else date.removeAttribute("datetime");
                 }
+                dom.setHTML("article-content", markdown.render(article.content));
+
+                render.responsiveImage(dom.id("article-image"), article.image_url, page.imageAlt, { width: 1400, sizes: media.sizes.article });
             } catch (error) {
-                console.error("[Render] article detail", error);
-                app.message("Failed to load article.", "/newswire", "Back to Newswire");
+                diagnostics.error("[Render] article detail", error);
+                app.message(i18n.t("news.failed"), "/newswire", i18n.t("news.back"));
             }
         },
 
         gameDetail: async (id) => {
-            if (!id) return app.message("Game not found.", "/games", "Back to Games");
+            if (!id) return app.message(i18n.t("games.notFound"), "/games", i18n.t("games.back"));
 
             try {
                 const games = await data.games();
                 const game = games.find((item) => utils.gameMatchesId(item, id));
                 if (!game) throw new Error("Game not found");
+                utils.canonicalizeUrl("game-details", game);
 
-                const image = utils.normalizeMedia(game.image_url, 1200);
-                const hero = utils.normalizeMedia(game.hero_image_url || game.image_url, 1800);
-                const url = `${CONFIG.siteUrl}${utils.detailHref("game-details", game.id)}`;
-                const description = utils.clampDescription(game.description);
-                const title = `${game.title} | Reflex Interactive`;
-
-                document.title = title;
-                dom.setCanonical(url);
-                dom.setMeta('meta[name="description"]', description);
-                dom.setMeta('meta[property="og:title"]', title);
-                dom.setMeta('meta[property="og:description"]', description);
-                dom.setMeta('meta[property="og:image"]', image);
-                dom.setMeta('meta[property="og:image:secure_url"]', image);
-                dom.setMeta('meta[property="og:image:alt"]', `${game.title} official cover art`);
-                dom.setMeta('meta[property="og:url"]', url);
-                dom.setMeta('meta[name="twitter:title"]', title);
-                dom.setMeta('meta[name="twitter:description"]', description);
-                dom.setMeta('meta[name="twitter:image"]', image);
-                dom.setMeta('meta[name="twitter:image:alt"]', `${game.title} official cover art`);
+                const page = seo.game(game);
+                render.pageMeta(page);
 
                 const schema = dom.id("game-json-ld");
-                if (schema) {
-                    const payload = utils.parseJSON(schema.text);
-                    Object.assign(payload, {
-                        name: game.title,
-                        description,
-                        genre: game.genre,
-                        image,
-                        url,
-                        inLanguage: CONFIG.locale,
-                        publisher: {
-                            "@type": "Organization",
-                            "@id": "https://reflexinteractive.com/#organization",
-                            name: "Reflex Interactive",
-                            logo: { "@type": "ImageObject", url: CONFIG.logo },
-                            address: {
-                                "@type": "PostalAddress",
-                                streetAddress: "Bartle House, 9 Oxford Court",
-                                addressLocality: "Manchester",
-                                postalCode: "M2 3WQ",
-                                addressCountry: "GB",
-                            },
-                        },
-                        author: {
-                            "@type": "Organization",
-                            "@id": "https://reflexinteractive.com/#organization",
-                            name: "Reflex Interactive",
-                        },
-                        offers: {
-                            "@type": "Offer",
-                            price: 0,
-                            priceCurrency: CONFIG.defaultCurrency,
-                            availability: "https://schema.org/InStock",
-                        },
-                    });
-                    schema.text = JSON.stringify(payload);
-                }
+                if (schema) schema.text = JSON.stringify({ ...utils.parseJSON(schema.text), ...page.jsonLd });
 
-                const heroNode = dom.id("game-hero");
-                if (heroNode) heroNode.style.backgroundImage = `url('${hero}')`;
-
-                const cover = dom.id("game-detail-cover");
-                if (cover) {
-                    cover.src = image;
-                    cover.alt = `${game.title} official cover art`;
-                }
+                dom.setHTML("game-hero-media", templates.gameHero(game));
+                render.responsiveImage(dom.id("game-detail-cover"), game.image_url, page.imageAlt, { width: 600, sizes: media.sizes.cover, crop: media.crops.cover });
 
                 dom.setText("game-detail-title", game.title);
-                dom.setText("game-detail-developer", game.developer || "Reflex Interactive");
-                dom.setText("game-detail-publisher", game.publisher || "Reflex Interactive");
-                dom.setText("game-detail-genre", game.genre || "Action");
+                dom.setText("game-detail-developer", game.developer);
+                dom.setText("game-detail-publisher", game.publisher);
+                dom.setText("game-detail-genre", game.genre);
                 dom.setText("game-detail-description", game.description);
-                dom.setText("game-detail-price", "Unavailable");
-
-                const cta = dom.id("game-access-btn");
-                if (cta) {
-                    cta.textContent = "Currently unavailable";
-                    cta.setAttribute("aria-label", "Game access is currently unavailable");
-                    cta.href = "#";
-                    cta.classList.add("opacity-50", "cursor-not-allowed");
-                    cta.setAttribute("aria-disabled", "true");
-                    cta.removeAttribute("download");
-                }
+                dom.setText("game-detail-price", page.access.label);
+                render.gameAccess(game, page.access);
 
                 render.gameMedia(game);
             } catch (error) {
-                console.error("[Render] game detail", error);
-                app.message("Failed to load game details.", "/games", "Back to Games");
+                diagnostics.error("[Render] game detail", error);
+                app.message(i18n.t("games.failed"), "/games", i18n.t("games.back"));
             }
         },
 
-        gameMedia: (game) => {
-            const media = dom.id("game-detail-screenshots");
-            if (!media) return;
-
-            const fragment = document.createDocumentFragment();
-
-            if (game.trailer_url) {
-                const col = document.createElement("div");
-                col.className = "col-12";
-                col.innerHTML = `<iframe src="${utils.escape(game.trailer_url)}" class="w-100 rounded-lg shadow-md aspect-video mb-2" title="${utils.escape(game.title)} trailer" loading="lazy" allowfullscreen></iframe>`;
-                fragment.appendChild(col);
+        gameAccess: (game, access) => {
+            const cta = dom.id("game-access-btn");
+            if (!cta) return;
+
+            const { text, href = "#", disabled = false, external = false } = access.cta;
+            cta.textContent = text;
+            cta.href = disabled ? "#" : href.startsWith("/") ? utils.routeHref(href) : href;
+            cta.dataset.access = access.status;
+            cta.setAttribute("aria-label", disabled ? i18n.t("access.unavailableLabel", { title: game.title }) : `${text}: ${game.title}`);
+            cta.classList.toggle("opacity-50", disabled);
+            cta.classList.toggle("cursor-not-allowed", disabled);
+            if (disabled) cta.setAttribute("aria-disabled", "true");
+            else cta.removeAttribute("aria-disabled");
+            cta.removeAttribute("download");
+            if (external) {
+                cta.target = "_blank";
+                cta.rel = "noopener";
+            } else {
+                cta.removeAttribute("target");
+                cta.removeAttribute("rel");
             }
+        },
 
-            if (Array.isArray(game.screenshots)) {
-                game.screenshots.forEach((shot) => {
-                    const src = utils.normalizeMedia(shot.url || shot, 900);
-                    const col = document.createElement("div");
-                    col.className = "col";
-                    col.innerHTML = `<img src="${src}" alt="${utils.escape(shot.caption || `${game.title} screenshot`)}" width="900" height="506" class="img-fluid rounded-lg shadow-md" loading="lazy" decoding="async">`;
-                    fragment.appendChild(col);
-                });
+        // Images already in the page shell (article header, game cover). sizes goes first so the browser
+        // never fetches from srcset against the default 100vw.
+        responsiveImage: (img, url, alt, options) => {
+            if (!img) return;
+            const { src, srcset, sizes } = media.attrs(url, options);
+            if (srcset) {
+                img.sizes = sizes;
+                img.srcset = srcset;
+            } else {
+                img.removeAttribute("srcset");
+                img.removeAttribute("sizes");
             }
+            img.src = src;
+            img.alt = alt;
+        },
 
-            media.replaceChildren(fragment);
+        gameMedia: (game) => {
+            state.gallery.items = gallery.items(game);
+            dom.setHTML("game-detail-screenshots", templates.gameMedia(game));
+            gallery.fromHash();
         },
     };
 
@@ -1078,6 +3407,11 @@
             document.addEventListener("input", events.input);
             document.addEventListener("change", events.change);
             document.addEventListener("submit", events.submit);
+            document.addEventListener("dragover", events.dragover);
+            document.addEventListener("drop", events.drop);
+            window.addEventListener("pagehide", feedback.flush);
+            window.addEventListener("hashchange", gallery.fromHash);
+            document.addEventListener("keydown", gallery.keydown);
         },
 
         click: (event) => {
@@ -1090,12 +3424,23 @@
             const next = event.target.closest("[data-rail-next]");
             const hash = event.target.closest('a[href^="#"]');
             const clear = event.target.closest("#clear-cache-link");
+            const dismissCacheNotice = event.target.closest("[data-dismiss-cache-notice]");
             const supportCategory = event.target.closest("[data-support-category]");
             const supportGame = event.target.closest("[data-support-game]");
             const supportArticle = event.target.closest("[data-support-article]");
             const supportCloseArticle = event.target.closest("[data-support-close-article]");
             const supportClear = event.target.closest("#support-clear-filters");
             const supportTicketArticle = event.target.closest("[data-support-article-ticket]");
+            const supportVote = event.target.closest("[data-support-vote]");
+            const launcherToggle = event.target.closest("[data-launcher-platforms-toggle]");
+            const copy = event.target.closest("[data-copy-text]");
+            const unsubscribe = event.target.closest("[data-newsletter-unsubscribe]");
+            const mediaOpen = event.target.closest("[data-media-index]");
+            const lightbox = event.target.closest("#media-lightbox");
+
+            dom.qsa("[data-launcher-download]").forEach((group) => {
+                if (!group.contains(event.target)) ui.toggleLauncherPlatforms(group, false);
+            });
 
             if (prev || next) {
                 event.preventDefault();
@@ -1104,6 +3449,11 @@
                 return;
             }
 
+            if (dismissCacheNotice) {
+                dom.id("cache-notice")?.remove();
+                return;
+            }
+
             if (supportCategory) {
                 event.preventDefault();
                 events.selectSupportCategory(supportCategory.dataset.supportCategory);
@@ -1125,6 +3475,7 @@
             if (supportCloseArticle) {
                 event.preventDefault();
                 dom.id("support-article-viewer")?.classList.add("d-none");
+                events.supportLocation({ article: "" });
                 dom.id("support-articles-section")?.scrollIntoView({ behavior: "smooth", block: "start" });
                 return;
             }
@@ -1135,12 +3486,55 @@
                 return;
             }
 
+            if (unsubscribe) {
+                event.preventDefault();
+                events.unsubscribeNewsletter(unsubscribe);
+                return;
+            }
+
+            if (mediaOpen) {
+                event.preventDefault();
+                gallery.open(Number(mediaOpen.dataset.mediaIndex));
+                return;
+            }
+
+            if (lightbox) {
+                const step = event.target.closest("[data-lightbox-step]");
+                const zoom = event.target.closest("[data-lightbox-zoom]");
+                if (step) gallery.step(Number(step.dataset.lightboxStep));
+                else if (zoom) gallery.zoom(zoom, event);
+                else if (event.target.closest("[data-lightbox-play]")) gallery.play();
+                else if (event.target.closest("[data-lightbox-close]") || event.target.matches(".media-lightbox, .media-lightbox-figure, .media-lightbox-stage")) gallery.close();
+                return;
+            }
+
+            if (copy) {
+                event.preventDefault();
+                events.copyText(copy);
+                return;
+            }
+
+            if (launcherToggle) {
+                event.preventDefault();
+                ui.toggleLauncherPlatforms(launcherToggle.closest("[data-launcher-download]"));
+                return;
+            }
+
+            if (supportVote) {
+                event.preventDefault();
+                events.voteSupportArticle(supportVote);
+                return;
+            }
+
             if (supportTicketArticle) {
                 event.preventDefault();
                 events.useArticleInTicket(supportTicketArticle.dataset.supportArticleTicket);
                 return;
             }
 
+            const link = event.target.closest("a[href]");
+            if (link && router.intercept(event, link)) return;
+
             if (hash) {
                 const href = hash.getAttribute("href");
                 if (href && href !== "#") {
@@ -1156,6 +3550,12 @@
         },
 
         input: (event) => {
+            if (event.target?.id === "support-ticket-subject" || event.target?.id === "support-ticket-message") {
+                clearTimeout(state.support.suggestTimer);
+                state.support.suggestTimer = setTimeout(render.supportTicketSuggestions, 250);
+                return;
+            }
+
             if (event.target?.id !== "support-search-input") return;
             state.support.query = event.target.value;
             dom.id("support-article-viewer")?.classList.add("d-none");
@@ -1163,16 +3563,46 @@
         },
 
         change: (event) => {
+            if (event.target?.matches?.("[data-language-select]")) {
+                i18n.setLocale(event.target.value);
+                // Feeds and copy are resolved once per load, so a clean reload applies the new language everywhere.
+                const url = new URL(window.location.href);
+                url.searchParams.delete("lang");
+                window.history.replaceState(window.history.state, "", url);
+                window.location.reload();
+                return;
+            }
+
+            if (event.target?.id === "region-select") {
+                utils.setRegion(event.target.value);
+                ui.initRegionSelect();
+                if (dom.id("game-detail-price")) router.run();
+            }
+
+            if (event.target?.id === "launcher-verify-input") {
+                events.verifyLauncherFile(event.target.files?.[0]);
+            }
+
             if (event.target?.id === "support-ticket-category") {
                 state.support.selectedCategory = event.target.value === "general" ? "" : event.target.value;
                 dom.id("support-article-viewer")?.classList.add("d-none");
                 render.supportArticleResults();
+                render.supportTicketSuggestions();
             }
 
             if (event.target?.id === "support-ticket-game") {
                 const option = event.target.selectedOptions?.[0];
                 events.selectSupportGame(event.target.value, option?.textContent || "", false);
             }
+
+            if (event.target?.id === "support-ticket-diagnostics") {
+                events.previewDiagnostics(event.target.checked);
+            }
+
+            if (event.target?.id === "news-filter-category" || event.target?.id === "news-filter-game") {
+                const key = event.target.id === "news-filter-category" ? "category" : "game";
+                router.navigate(utils.newsHref({ ...utils.newsFilters(), [key]: event.target.value, page: 1 }), { scrollY: window.scrollY });
+            }
         },
 
         submit: async (event) => {
@@ -1187,39 +3617,142 @@
                 return;
             }
 
+            if (form?.matches("[data-site-search]")) {
+                event.preventDefault();
+                const query = new FormData(form).get("q")?.toString().trim() || "";
+                router.navigate(utils.routeHref(`/search${query ? `?q=${encodeURIComponent(query)}` : ""}`));
+                return;
+            }
+
+            if (form?.matches("[data-support-feedback-form]")) {
+                event.preventDefault();
+                events.commentSupportArticle(form);
+                return;
+            }
+
             if (form?.id === "support-ticket-form") {
                 event.preventDefault();
                 events.submitSupportTicket(form);
                 return;
             }
 
-            if (form?.id !== "newsletter-form") return;
+            if (form?.id === "newsletter-form") {
+                event.preventDefault();
+                events.subscribeNewsletter(form);
+                return;
+            }
 
-            event.preventDefault();
+            if (form?.id === "newsletter-preferences-form") {
+                event.preventDefault();
+                events.saveNewsletterPreferences(form);
+            }
+        },
+
+        newsletter: async (payload) => {
+            const response = await fetch(CONFIG.endpoints.newsletter, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", Accept: "application/json" },
+                body: JSON.stringify(payload),
+            });
+            const result = await response.json().catch(() => ({}));
+            return { ok: response.ok, status: response.status, ...result };
+        },
+
+        // Server errors carry a code so each case can say what actually went wrong.
+        unsubscribeNewsletter: async (button) => {
+            button.disabled = true;
+            try {
+                const result = await events.newsletter({ action: "unsubscribe", token: new URLSearchParams(window.location.search).get("token") || "" });
+                dom.setText("newsletter-heading", i18n.t(result.ok ? "newsletter.unsubscribed" : "newsletter.failed"));
+                dom.setHTML("newsletter-panel", `<p class="mb-0">${utils.escape(result.ok ? i18n.t("newsletter.unsubscribedBody", { email: result.email }) : events.newsletterMessage(result))}</p>`);
+            } catch (error) {
+                console.warn("[Newsletter] Unsubscribe failed", error);
+                button.disabled = false;
+                dom.setHTML("newsletter-panel", `<p class="mb-0">${utils.escape(events.newsletterMessage({}))}</p>`);
+            }
+        },
+
+        newsletterMessage: (result) => i18n.t({
+            invalid_email: "newsletter.invalidEmail",
+            already_subscribed: "newsletter.alreadySubscribed",
+            rate_limited: "newsletter.rateLimited",
+            invalid_token: "newsletter.invalidToken",
+            expired_token: "newsletter.expiredToken",
+            not_subscribed: "newsletter.notSubscribed",
+        }[result.error] || "newsletter.unavailable", { count: Math.ceil((result.retryAfter || 3600) / 60) }),
+
+        subscribeNewsletter: async (form) => {
+            if (!form.reportValidity()) return;
+
+            const data = new FormData(form);
+            const status = dom.id("newsletter-status");
             const button = form.querySelector('button[type="submit"]');
-            if (button) {
-                button.disabled = true;
-                button.textContent = "Sending...";
+            const setStatus = (message, tone = "muted") => {
+                if (!status) return;
+                status.className = `newsletter-status small mb-0 mt-2 text-${tone}`;
+                status.textContent = message;
+            };
+
+            if (button) button.disabled = true;
+            setStatus(i18n.t("newsletter.signingUp"));
+
+            try {
+                const result = await events.newsletter({
+                    action: "subscribe",
+                    email: data.get("email"),
+                    topics: data.getAll("topics"),
+                    website: data.get("website"),
+                });
+                if (!result.ok) {
+                    setStatus(events.newsletterMessage(result), "danger");
+                    if (result.error === "invalid_email") form.elements.namedItem("email")?.focus();
+                    return;
+                }
+                form.reset();
+                setStatus(i18n.t("newsletter.checkInbox"), "success");
+            } catch (error) {
+                console.warn("[Newsletter] Sign-up failed", error);
+                setStatus(events.newsletterMessage({}), "danger");
+            } finally {
+                if (button) button.disabled = false;
             }
+        },
+
+        saveNewsletterPreferences: async (form) => {
+            const status = dom.id("newsletter-page-status");
+            const button = form.querySelector('button[type="submit"]');
+            if (button) button.disabled = true;
 
             try {
-                const response = await fetch(form.action, {
-                    method: form.method,
-                    body: new FormData(form),
-                    headers: { Accept: "application/json" },
+                const result = await events.newsletter({
+                    action: "update",
+                    token: new URLSearchParams(window.location.search).get("token") || "",
+                    topics: new FormData(form).getAll("topics"),
                 });
-                form.innerHTML = `<p class="text-${response.ok ? "success" : "danger"} fw-bold text-center">${response.ok ? "Message sent." : "Error sending message."}</p>`;
-            } catch {
-                form.innerHTML = '<p class="text-danger fw-bold text-center">Something went wrong.</p>';
+                if (status) {
+                    status.className = `newsletter-status mb-0 text-${result.ok ? "success" : "danger"}`;
+                    status.textContent = result.ok ? i18n.t("newsletter.saved") : events.newsletterMessage(result);
+                }
+            } catch (error) {
+                console.warn("[Newsletter] Preferences not saved", error);
+                if (status) status.textContent = events.newsletterMessage({});
+            } finally {
+                if (button) button.disabled = false;
             }
         },
 
-        clearCache: (event) => {
+        clearCache: async (event) => {
             event.preventDefault();
-            localStorage.clear();
             sessionStorage.clear();
+            state.cache.clear();
+            await store.clear();
             if ("serviceWorker" in navigator) {
-                navigator.serviceWorker.getRegistrations().then((regs) => regs.forEach((reg) => reg.unregister()));
+                const regs = await navigator.serviceWorker.getRegistrations();
+                await Promise.all(regs.map((reg) => reg.unregister()));
+            }
+            if ("caches" in window) {
+                const keys = await caches.keys();
+                await Promise.all(keys.filter((key) => key.startsWith("reflex-")).map((key) => caches.delete(key)));
             }
             window.location.reload();
         },
@@ -1229,7 +3762,7 @@
             const select = dom.id("support-ticket-category");
             if (select && category) select.value = category;
             const subject = dom.id("support-ticket-subject");
-            if (subject && !subject.value.trim()) subject.value = `${utils.categoryLabel(category)} support request`;
+            if (subject && !subject.value.trim()) subject.value = utils.supportSubject(category);
             dom.id("support-article-viewer")?.classList.add("d-none");
             render.supportArticleResults();
             dom.id("support-articles-section")?.scrollIntoView({ behavior: "smooth", block: "start" });
@@ -1240,7 +3773,7 @@
             state.support.selectedGameTitle = id ? title : "";
 
             const current = dom.id("support-current-selection");
-            if (current) current.textContent = id ? `Selected: ${title}` : "No game selected";
+            if (current) current.textContent = i18n.t(id ? "support.selected" : "support.noGameSelected", { title });
 
             const select = dom.id("support-ticket-game");
             if (select) select.value = id;
@@ -1250,7 +3783,9 @@
             });
 
             dom.id("support-article-viewer")?.classList.add("d-none");
+            events.supportLocation({ game: id, article: "" });
             render.supportArticleResults();
+            render.supportTicketSuggestions();
             if (scroll) dom.id("support-articles-section")?.scrollIntoView({ behavior: "smooth", block: "start" });
         },
 
@@ -1267,35 +3802,250 @@
             const game = dom.id("support-ticket-game");
             if (game) game.value = "";
             const current = dom.id("support-current-selection");
-            if (current) current.textContent = "No game selected";
+            if (current) current.textContent = i18n.t("support.noGameSelected");
             dom.qsa("[data-support-game]").forEach((button) => button.classList.remove("is-selected"));
             dom.id("support-article-viewer")?.classList.add("d-none");
+            events.supportLocation({ q: "", category: "", game: "", article: "" });
 
             render.supportArticleResults();
+            render.supportTicketSuggestions();
+        },
+
+        dragover: (event) => {
+            if (!event.target.closest?.("#launcher-verify-drop")) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        },
+
+        drop: (event) => {
+            if (!event.target.closest?.("#launcher-verify-drop")) return;
+            event.preventDefault();
+            events.verifyLauncherFile(event.dataTransfer.files?.[0]);
+        },
+
+        copyText: async (button) => {
+            const label = button.textContent;
+            try {
+                await navigator.clipboard.writeText(button.dataset.copyText);
+                button.textContent = i18n.t("common.copied");
+            } catch (error) {
+                console.warn("[Clipboard] Copy failed", error);
+                button.textContent = i18n.t("common.selectAndCopy");
+            }
+            setTimeout(() => {
+                button.textContent = label;
+            }, 2000);
+        },
+
+        verifyLauncherFile: async (file) => {
+            const result = dom.id("launcher-verify-result");
+            if (!file || !result) return;
+
+            if (!window.crypto?.subtle) {
+                result.className = "launcher-verify-result is-error";
+                result.textContent = i18n.t("launcher.verifyUnsupported");
+                return;
+            }
+
+            result.className = "launcher-verify-result";
+            result.textContent = i18n.t("launcher.verifyChecking", { file: file.name });
+
+            try {
+                const [hash, manifest] = await Promise.all([utils.sha256(file), data.launcher()]);
+                const match = [manifest, ...manifest.history]
+                    .flatMap((release) => release.packages.map((item) => ({ release, item })))
+                    .find(({ item }) => item.sha256 === hash);
+
+                result.className = `launcher-verify-result ${match ? "is-match" : "is-error"}`;
+                result.innerHTML = match
+                    ? `<strong>${utils.escape(i18n.t("launcher.verifyGenuine"))}</strong> ${utils.escape(i18n.t("launcher.verifyMatch", {
+                        file: file.name,
+                        platform: utils.launcherPlatform(match.item.runtime).label,
+                        format: utils.launcherFormatLabel(match.item.format),
+                        version: match.release.version,
+                    }))}`
+                    : `<strong>${utils.escape(i18n.t("launcher.verifyNoMatch"))}</strong> ${utils.escape(i18n.t("launcher.verifyMismatch", { file: file.name }))}`;
+                result.insertAdjacentHTML("beforeend", `<code class="launcher-checksum">SHA-256 ${hash}</code>`);
+            } catch (error) {
+                diagnostics.error("[Launcher] verify", error);
+                result.className = "launcher-verify-result is-error";
+                result.textContent = i18n.t("launcher.verifyFailed");
+            }
+        },
+
+        voteSupportArticle: (button) => {
+            const widget = button.closest("[data-support-feedback]");
+            const id = widget?.dataset.supportFeedback;
+            if (!id || feedback.vote(id)) return;
+
+            const helpful = button.dataset.supportVote === "yes";
+            feedback.remember(id, helpful);
+            feedback.send({ type: "vote", article: id, helpful });
+
+            widget.querySelector(".support-feedback-question")?.remove();
+            widget.querySelector("[data-support-feedback-form]")?.classList.remove("d-none");
+            const status = widget.querySelector(".support-feedback-status");
+            if (status) status.textContent = i18n.t(helpful ? "feedback.gladItHelped" : "feedback.sorry");
+        },
+
+        commentSupportArticle: async (form) => {
+            const widget = form.closest("[data-support-feedback]");
+            const comment = form.elements.namedItem("comment")?.value.trim() || "";
+            if (!widget || !comment) return;
+
+            const button = form.querySelector('button[type="submit"]');
+            if (button) button.disabled = true;
+            const sent = await feedback.send({
+                type: "comment",
+                article: widget.dataset.supportFeedback,
+                helpful: feedback.vote(widget.dataset.supportFeedback)?.helpful,
+                comment,
+            });
+
+            const status = widget.querySelector(".support-feedback-status");
+            if (sent) {
+                form.remove();
+                if (status) status.textContent = i18n.t("feedback.commentSent");
+            } else {
+                if (button) button.disabled = false;
+                if (status) status.textContent = i18n.t("feedback.commentFailed");
+            }
+        },
+
+        supportLocation: (changes) => {
+            const url = new URL(window.location.href);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) url.searchParams.set(key, value);
+                else url.searchParams.delete(key);
+            });
+            if (url.href === window.location.href) return;
+            window.history.replaceState(window.history.state, "", `${url.pathname}${url.search}${url.hash}`);
         },
 
         useArticleInTicket: (id) => {
             const article = state.support.articles.find((item) => String(item.id) === String(id));
             if (!article) return;
 
+            feedback.escalate(article.id);
             const category = dom.id("support-ticket-category");
             const subject = dom.id("support-ticket-subject");
             const message = dom.id("support-ticket-message");
 
             if (category) category.value = article.category || "general";
-            if (subject && !subject.value.trim()) subject.value = `Question about: ${article.title}`;
+            if (subject && !subject.value.trim()) subject.value = i18n.t("support.subjectArticle", { title: article.title });
             if (message && !message.value.trim()) {
-                message.value = `I read the support article "${article.title}" and still need help with:\n\n`;
+                message.value = `${i18n.t("support.messageArticle", { title: article.title })}\n\n`;
                 message.focus();
             }
             dom.id("contact-section")?.scrollIntoView({ behavior: "smooth", block: "start" });
         },
 
-        submitSupportTicket: (form) => {
+        submitSupportTicket: async (form) => {
             if (!form.reportValidity()) return;
 
-            const values = Object.fromEntries(new FormData(form).entries());
-            const subject = values.subject || `${utils.categoryLabel(values.category)} support request`;
+            const { diagnostics: attach, ...values } = Object.fromEntries(new FormData(form).entries());
+            // Send exactly what the visitor reviewed in the preview, never a fresh collection.
+            if (attach) values.diagnostics = await (state.support.diagnostics || events.previewDiagnostics(true));
+            const status = dom.id("support-form-status");
+            const button = form.querySelector('button[type="submit"]');
+            const setStatus = (message, tone = "muted") => {
+                if (!status) return;
+                status.className = `support-form-status text-${tone}`;
+                status.textContent = message;
+            };
+
+            dom.qsa(".is-invalid", form).forEach((field) => {
+                field.classList.remove("is-invalid");
+                field.removeAttribute("aria-invalid");
+            });
+            if (button) button.disabled = true;
+            setStatus(i18n.t("support.sending"));
+
+            try {
+                const response = await fetch(CONFIG.endpoints.supportTicket, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", Accept: "application/json" },
+                    body: JSON.stringify({ ...values, page: window.location.pathname }),
+                });
+                const result = await response.json().catch(() => ({}));
+
+                if (response.ok && result.reference) {
+                    feedback.escalate();
+                    form.reset();
+                    events.previewDiagnostics(false);
+                    setStatus(i18n.t("support.received", { reference: result.reference }), "success");
+                    return;
+                }
+
+                // The service answers in English; its error codes and field names pick the visitor's copy.
+                if (result.error === "validation" && result.fields) {
+                    const hints = Object.keys(result.fields).map((name) => {
+                        const hint = events.ticketHint(name);
+                        const field = form.elements.namedItem(name);
+                        if (field?.classList) {
+                            field.classList.add("is-invalid");
+                            field.setAttribute("aria-invalid", "true");
+                            field.title = hint;
+                        }
+                        return hint;
+                    });
+                    setStatus([i18n.t("support.invalid"), ...hints].join(" "), "danger");
+                    form.querySelector(".is-invalid")?.focus();
+                    return;
+                }
+
+                if (result.error === "rate_limited") {
+                    setStatus(i18n.t("support.emailInstead", { message: i18n.t("support.tooMany") }), "danger");
+                    return;
+                }
+
+                throw new Error(result.message || `HTTP ${response.status}`);
+            } catch (error) {
+                console.warn("[Support] Ticket service unavailable, falling back to email", error);
+                setStatus(i18n.t("support.mailFallback"));
+                feedback.escalate();
+                events.mailSupportTicket(values);
+            } finally {
+                if (button) button.disabled = false;
+            }
+        },
+
+        ticketHint: (name) => i18n.t({
+            name: "support.hintName",
+            email: "support.hintEmail",
+            category: "support.hintCategory",
+            game: "support.hintGame",
+            platform: "support.hintPlatform",
+            subject: "support.hintSubject",
+            message: "support.hintMessage",
+        }[name] || "support.hintField"),
+
+        previewDiagnostics: async (enabled) => {
+            const preview = dom.id("support-diagnostics-preview");
+            const output = dom.id("support-diagnostics-output");
+            state.support.diagnostics = null;
+            preview?.classList.toggle("d-none", !enabled);
+            if (!enabled || !output) return null;
+
+            output.textContent = i18n.t("support.collectingDiagnostics");
+            const pending = diagnostics.collect();
+            state.support.diagnostics = pending;
+            const collected = await pending;
+            if (state.support.diagnostics !== pending) return null;
+            output.textContent = JSON.stringify(collected, null, 2);
+            return collected;
+        },
+
+        // mailto links break past a couple of thousand characters, so email carries a short summary
+        // of the reviewed diagnostics rather than the whole bundle.
+        mailDiagnostics: (collected) => [
+            `Site ${collected.siteVersion}, launcher ${collected.launcherVersion} (${collected.launcherRuntime})`,
+            `${collected.platform}, ${collected.screen}, ${collected.locale}, ${collected.timeZone}`,
+            ...collected.errors.slice(-3).map((error) => `${error.time} ${error.message.slice(0, 120)}`),
+        ].join("\n"),
+
+        mailSupportTicket: (values) => {
+            const subject = values.subject || utils.supportSubject(values.category);
             const body = [
                 `Name: ${values.name}`,
                 `Reply Email: ${values.email}`,
@@ -1306,26 +4056,174 @@
                 "Details:",
                 values.message,
                 "",
-                `Page: ${window.location.href}`,
+                `Page: ${window.location.pathname}`,
+                ...(values.diagnostics ? ["", "Diagnostics:", events.mailDiagnostics(values.diagnostics)] : []),
             ].join("\n");
 
-            const href = `mailto:support@reflexinteractive.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-            const status = dom.id("support-form-status");
-            if (status) status.textContent = "Opening your email app with the ticket details. If nothing opens, use the direct email button below.";
-            window.location.href = href;
+            window.location.href = `mailto:support@reflexinteractive.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
         },
     };
 
     const router = {
-        run: () => {
+        routes: ["/", "/about", "/games", "/game-details", "/launcher", "/newswire", "/newswire-details", "/privacy", "/search", "/support", "/tos"],
+        headSelectors: [
+            'meta[name="description"]',
+            'meta[name="robots"]',
+            'link[rel="canonical"]',
+            'link[rel="alternate"]',
+            'meta[property^="og:"]',
+            'meta[name^="twitter:"]',
+            'script[type="application/ld+json"]',
+        ].join(", "),
+
+        init: () => {
+            if (!("pushState" in window.history) || state.supportHost) return;
+            window.history.scrollRestoration = "manual";
+            state.page = `${window.location.pathname}${window.location.search}`;
+            window.addEventListener("popstate", router.pop);
+        },
+
+        routeFor: (url) => {
+            const path = url.pathname.replace(/\.html$/, "").replace(/^\/index$/, "/").replace(/\/$/, "") || "/";
+            const detail = utils.detailRoute(path);
+            if (detail) return detail.route;
+            return router.routes.includes(path) ? path : "";
+        },
+
+        intercept: (event, link) => {
+            if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+            if (state.supportHost || link.hasAttribute("download") || (link.target && link.target !== "_self")) return false;
+
+            const url = new URL(link.href, window.location.href);
+            if (url.origin !== window.location.origin || !router.routeFor(url)) return false;
+            if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) return false;
+
+            event.preventDefault();
+            router.navigate(url.href);
+            return true;
+        },
+
+        shell: async (route) => {
+            if (!state.shells.has(route)) {
+                const request = fetch(CONFIG.localRoutes[route], { headers: { Accept: "text/html" } })
+                    .then((response) => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.text();
+                    })
+                    .then((html) => new DOMParser().parseFromString(html, "text/html"));
+                request.catch(() => state.shells.delete(route));
+                state.shells.set(route, request);
+            }
+            return state.shells.get(route);
+        },
+
+        swap: (doc) => {
+            feedback.flush();
+            const current = dom.qs("main");
+            const next = doc.querySelector("main");
+            if (!current || !next) throw new Error("Page shell has no main element");
+
+            // The lightbox sits outside <main>, so it would otherwise outlive the game it was showing.
+            gallery.close();
+            state.gallery.items = [];
+
+            const main = document.importNode(next, true);
+            current.replaceWith(main);
+
+            document.title = doc.title;
+            dom.qsa(router.headSelectors, document.head).forEach((node) => node.remove());
+            doc.head.querySelectorAll(router.headSelectors).forEach((node) => document.head.appendChild(document.importNode(node, true)));
+
+            Object.assign(state.support, { selectedCategory: "", selectedGame: "", selectedGameTitle: "", query: "", suggestKey: "" });
+            ui.initEnvironmentLinks();
+            ui.markActiveNav();
+            ui.reveal(main);
+            return main;
+        },
+
+        navigate: async (href, { push = true, scrollY = 0 } = {}) => {
+            const url = new URL(href, window.location.href);
+            const route = router.routeFor(url);
+            const token = ++state.navigation;
+
+            if (!route) {
+                window.location.assign(url.href);
+                return;
+            }
+
+            const samePage = route === router.routeFor(window.location) && !route.endsWith("-details");
+            let main = dom.qs("main");
+
+            if (!samePage) {
+                try {
+                    const shell = await router.shell(route);
+                    if (token !== state.navigation) return;
+                    if (push) router.push(url);
+                    main = router.swap(shell);
+                    state.page = `${url.pathname}${url.search}`;
+                } catch (error) {
+                    console.warn(`[Router] Falling back to a full page load for ${url.pathname}`, error);
+                    window.location.assign(url.href);
+                    return;
+                }
+            } else {
+                if (push) router.push(url);
+                state.page = `${url.pathname}${url.search}`;
+            }
+
+            await router.run();
+            if (token !== state.navigation) return;
+
+            const target = router.target(url.hash);
+            if (target) target.scrollIntoView({ block: "start" });
+            else window.scrollTo(0, scrollY);
+
+            if (!samePage && main) {
+                main.setAttribute("tabindex", "-1");
+                main.focus({ preventScroll: true });
+            }
+        },
+
+        // Fragments are ids, not selectors: "#1-intro" or "#a.b" would throw in querySelector.
+        target: (hash = "") => {
+            const id = hash.slice(1);
+            if (!id) return null;
+            try {
+                return document.getElementById(decodeURIComponent(id));
+            } catch {
+                return document.getElementById(id);
+            }
+        },
+
+        push: (url) => {
+            window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, "");
+            window.history.pushState({ scrollY: 0 }, "", url.href);
+        },
+
+        pop: (event) => {
+            // Fragment-only entries (in-page anchors, "#media-N") belong to the page already shown; the
+            // browser restores those itself.
+            if (`${window.location.pathname}${window.location.search}` === state.page) return;
+            if (!router.routeFor(window.location)) {
+                window.location.reload();
+                return;
+            }
+            router.navigate(window.location.href, { push: false, scrollY: event.state?.scrollY || 0 });
+        },
+
+        run: async () => {
             const path = window.location.pathname.replace(/\/$/, "") || "/";
             const params = new URLSearchParams(window.location.search);
-            const id = params.get("id");
-
-            if (path.includes("game-details") || (id && dom.id("game-hero"))) return render.gameDetail(id);
-            if (path.includes("newswire-details") || (id && dom.id("article-detail"))) return render.articleDetail(id);
+            const detail = utils.detailRoute(path);
+            const id = detail?.id || params.get("id");
+
+            if (detail?.route === CONFIG.routes.gameDetails || path.includes("game-details") || (id && dom.id("game-hero"))) return render.gameDetail(id);
+            if (detail?.route === CONFIG.routes.newswireDetails || path.includes("newswire-details") || (id && dom.id("article-detail"))) return render.articleDetail(id);
+            if (path.includes("search")) return render.searchPage();
+            if (path.includes("newsletter")) return render.newsletterPage(path.split("/").pop());
+            if (path.includes("launcher")) return render.launcherPage();
             if (path.includes("games")) return render.gameList("full-games-container");
-            if (path.includes("newswire")) return render.newsList("news-container");
+            if (path.includes("newswire")) return render.newsPage();
             if (state.supportHost || path.includes("support")) return render.supportPage();
 
             if (path === "/" || path.endsWith("index.html")) {
@@ -1338,24 +4236,29 @@
 
     const app = {
         init: async () => {
+            document.documentElement.lang = i18n.locale();
+            media.init();
             await Promise.all([
                 data.component("navbar", "/components/navbar.html", () => {
                     ui.initNav();
                     ui.initMobileMenu();
                     ui.initDownloadButtons();
+                    ui.initLanguageSelect();
                     render.navGames();
                 }),
-                data.component("footer", "/components/footer.html"),
+                data.component("footer", "/components/footer.html", ui.initRegionSelect),
             ]);
             ui.initEnvironmentLinks();
             document.dispatchEvent(new CustomEvent("reflex:components-ready"));
             ui.initReveal();
             ui.initBackToTop();
+            ui.initServiceWorker();
             events.init();
+            router.init();
             router.run();
         },
 
-        message: (message, href = "/", label = "Return Home") => {
+        message: (message, href = "/", label = i18n.t("common.returnHome")) => {
             const main = dom.qs("main");
             if (!main) return;
             main.innerHTML = `
@@ -1367,6 +4270,13 @@
         },
     };
 
+    if (window.REFLEX_PRERENDER) {
+        window.ReflexSite = Object.freeze({ CONFIG, i18n, dates, utils, media, markdown, schema, templates, seo });
+        return;
+    }
+
+    diagnostics.init();
+
     if (document.readyState === "loading") {
         document.addEventListener("DOMContentLoaded", app.init, { once: true });
     } else {
@@ -0,0 +1,586 @@
+/**
+ * @fileoverview Reflex Interactive UI message catalogue.
+ * @description Interface copy keyed by locale. Any key missing from a locale falls back to the site
+ * default (`locale` in site-config.js), so a translation can ship before it is complete. Values may use
+ * {name} placeholders; an object of plural forms ({ one, other }) is chosen with Intl.PluralRules.
+ */
+window.REFLEX_MESSAGES = Object.freeze({
+    "en-GB": {
+        "common.returnHome": "Return Home",
+        "common.copy": "Copy",
+        "common.copied": "Copied",
+        "common.selectAndCopy": "Select and copy",
+        "common.allGames": "All games",
+        "common.language": "Language",
+        "common.backToTop": "Back to top",
+
+        "news.readMore": "Read more",
+        "news.imageAlt": "Newswire key art for {title}",
+        "news.unavailable": "Newswire is temporarily unavailable.",
+        "news.none": "No articles match these filters yet.",
+        "news.allCategories": "All categories",
+        "news.allTopics": "All topics",
+        "news.filterTag": "tagged \"{tag}\"",
+        "news.filterCategory": "in {category}",
+        "news.filterGame": "about {game}",
+        "news.summary": { one: "Showing {from}-{to} of {count} article{filters}", other: "Showing {from}-{to} of {count} articles{filters}" },
+        "news.summaryNone": "No articles{filters}",
+        "news.notFound": "Article not found.",
+        "news.failed": "Failed to load article.",
+        "news.back": "Back to Newswire",
+
+        "pagination.previous": "Previous",
+        "pagination.next": "Next",
+        "pagination.page": "Page {page}",
+
+        "games.explore": "Explore game",
+        "games.exploreLabel": "Explore {title}",
+        "games.coverAlt": "{title} cover art",
+        "games.keyArtAlt": "{title} key art",
+        "games.officialCoverAlt": "{title} official cover art",
+        "games.trailer": "{title} trailer",
+        "games.screenshot": "{title} screenshot",
+        "games.unavailable": "Game catalog is temporarily unavailable.",
+        "games.navUnavailable": "Games unavailable.",
+        "games.notFound": "Game not found.",
+        "games.failed": "Failed to load game details.",
+        "games.back": "Back to Games",
+        "games.featured": "Featured Game",
+        "games.featuredExplore": "Explore",
+        "games.featuredAll": "View All",
+        "games.featuredUnavailable": "Featured game unavailable.",
+
+        "access.free": "Free to play",
+        "access.priceFree": "Free",
+        "access.playFree": "Play free",
+        "access.buy": "Buy now for {price}",
+        "access.earlyAccess": "Early Access · {price}",
+        "access.joinEarlyAccess": "Join Early Access",
+        "access.comingOn": "Coming {date}",
+        "access.comingSoon": "Coming soon",
+        "access.wishlist": "Wishlist now",
+        "access.wishlistOn": "Wishlist on {store}",
+        "access.theStore": "the store",
+        "access.priceOn": "{price} on {store}",
+        "access.availableOn": "Available on {store}",
+        "access.getOn": "Get it on {store}",
+        "access.unavailable": "Unavailable",
+        "access.currentlyUnavailable": "Currently unavailable",
+        "access.unavailableLabel": "{title} is currently unavailable",
+
+        "search.group.games": "Games",
+        "search.group.news": "Newswire",
+        "search.group.supportArticles": "Support",
+        "search.prompt": "Search games, Newswire articles and support guides.",
+        "search.title": "Search: {query} | Reflex Interactive",
+        "search.results": { one: "{count} result for \"{query}\"", other: "{count} results for \"{query}\"" },
+        "search.none": "No results for \"{query}\". Check the spelling or try a broader term.",
+        "search.unavailable": "Search is temporarily unavailable.",
+
+        "support.gameAlt": "{title} support category",
+        "support.read": "Read",
+        "support.updatedRecently": "Updated recently",
+        "support.selectedGame": "Selected game",
+        "support.notGameSpecific": "Not game-specific",
+        "support.filterSearch": "search \"{query}\"",
+        "support.summary": { one: "{count} article shown", other: "{count} articles shown" },
+        "support.summaryFor": { one: "{count} article shown for {filters}", other: "{count} articles shown for {filters}" },
+        "support.noMatches": "No matching articles",
+        "support.noMatchesHint": "Try another search or send a ticket and include as much detail as possible.",
+        "support.contact": "Contact support",
+        "support.back": "Back to articles",
+        "support.related": "Related articles",
+        "support.useInTicket": "Use in support ticket",
+        "support.gamesUnavailable": "Game support categories are temporarily unavailable.",
+        "support.articlesUnavailable": "Support articles are temporarily unavailable. Please email support@reflexinteractive.com.",
+        "support.selected": "Selected: {title}",
+        "support.noGameSelected": "No game selected",
+        "support.sending": "Sending your ticket...",
+        "support.received": "Ticket {reference} received. Quote this reference if you contact us about the same issue.",
+        "support.tooMany": "Too many tickets have been sent from this connection. Please try again later.",
+        "support.emailInstead": "{message} You can also email support@reflexinteractive.com.",
+        "support.mailFallback": "We could not reach the ticket service, so your email app will open with the ticket details instead. If nothing opens, email support@reflexinteractive.com.",
+        "support.collectingDiagnostics": "Collecting diagnostics...",
+        "support.subject": "{category} support request",
+        "support.subjectArticle": "Question about: {title}",
+        "support.messageArticle": "I read the support article \"{title}\" and still need help with:",
+        "support.invalid": "Some fields need attention before the ticket can be sent.",
+        "support.hintName": "Enter your name, up to 100 characters.",
+        "support.hintEmail": "Enter a valid email address so we can reply.",
+        "support.hintCategory": "Choose a category.",
+        "support.hintGame": "Keep the game under 100 characters.",
+        "support.hintPlatform": "Keep the platform under 60 characters.",
+        "support.hintSubject": "Keep the subject under 150 characters.",
+        "support.hintMessage": "Describe the problem in 20 to 5000 characters.",
+        "support.hintField": "Check this field.",
+
+        "feedback.label": "Article feedback",
+        "feedback.ratedHelpful": "You rated this article helpful. Thanks for the feedback.",
+        "feedback.ratedUnhelpful": "You rated this article not helpful. Thanks for the feedback.",
+        "feedback.question": "Was this article helpful?",
+        "feedback.yes": "Yes",
+        "feedback.no": "No",
+        "feedback.comment": "Anything we should add or fix? (optional)",
+        "feedback.send": "Send feedback",
+        "feedback.gladItHelped": "Glad it helped. Thanks for letting us know.",
+        "feedback.sorry": "Sorry it did not help. Tell us what was missing and we will improve it.",
+        "feedback.commentSent": "Thanks, your comment has been sent to the support team.",
+        "feedback.commentFailed": "Your comment could not be sent. Please try again later.",
+
+        "launcher.preparing": "Preparing launcher...",
+        "launcher.download": "Download Launcher",
+        "launcher.downloadFor": "Download for {platform}",
+        "launcher.downloadLabel": "Download Reflex Interactive Launcher v{version} for {platform}",
+        "launcher.unavailable": "Launcher unavailable",
+        "launcher.temporarilyUnavailable": "Launcher temporarily unavailable",
+        "launcher.pageUnavailable": "Launcher release information is temporarily unavailable. Please try again later.",
+        "launcher.yourDevice": "Your device",
+        "launcher.checksum": "SHA-256 checksum",
+        "launcher.signedBy": "Signed by {signer}",
+        "launcher.signature": "Signature file",
+        "launcher.checkFile": "Check this file after downloading",
+        "launcher.howToVerify": "How to verify",
+        "launcher.requirements": "Minimum requirements",
+        "launcher.downloads": "Downloads",
+        "launcher.current": "Current version",
+        "launcher.released": "Released {date}",
+        "launcher.version": "Version {version}",
+        "launcher.unknownVersion": "unknown",
+        "launcher.noHistory": "No earlier versions are available to download.",
+        "launcher.verifyUnsupported": "This browser cannot hash files here. Use one of the commands above instead.",
+        "launcher.verifyChecking": "Checking {file}...",
+        "launcher.verifyGenuine": "Genuine.",
+        "launcher.verifyMatch": "{file} matches the official {platform} {format} for version {version}.",
+        "launcher.verifyNoMatch": "No match.",
+        "launcher.verifyMismatch": "{file} does not match any official launcher download. Do not run it; download the launcher again from this page.",
+        "launcher.verifyFailed": "The file could not be checked. Please try again.",
+
+        "newsletter.failed": "Something went wrong",
+        "newsletter.subscribed": "You're subscribed",
+        "newsletter.confirmed": "Thanks for confirming {email}. We will only send what you ask for.",
+        "newsletter.chooseTopics": "Choose topics",
+        "newsletter.unsubscribe": "Unsubscribe",
+        "newsletter.unsubscribeQuestion": "Stop all Reflex Interactive newsletter emails to this address?",
+        "newsletter.changeTopics": "Change topics instead",
+        "newsletter.preferences": "Newsletter preferences",
+        "newsletter.choose": "Choose what we send to {email}.",
+        "newsletter.studio": "Studio",
+        "newsletter.studioNews": "Studio news and announcements",
+        "newsletter.patchNotes": "Patch notes and launcher updates",
+        "newsletter.games": "Games",
+        "newsletter.save": "Save preferences",
+        "newsletter.unsubscribeAll": "Unsubscribe from everything",
+        "newsletter.unsubscribed": "You're unsubscribed",
+        "newsletter.unsubscribedBody": "We will not email {email} again. You can sign up again from the footer at any time.",
+        "newsletter.signingUp": "Signing you up...",
+        "newsletter.checkInbox": "Almost done. Check your inbox and click the link to confirm your subscription.",
+        "newsletter.saved": "Your preferences have been saved.",
+        "newsletter.invalidEmail": "That does not look like a valid email address. Check it and try again.",
+        "newsletter.alreadySubscribed": "You are already subscribed. Use the link in any of our emails to change what you receive.",
+        "newsletter.rateLimited": { one: "Too many sign-up attempts from this connection. Please try again in {count} minute.", other: "Too many sign-up attempts from this connection. Please try again in {count} minutes." },
+        "newsletter.invalidToken": "This link is not valid. Make sure you used the whole link from the email.",
+        "newsletter.expiredToken": "This link has expired. Sign up again and we will send a fresh one.",
+        "newsletter.notSubscribed": "This address is no longer subscribed. Sign up again from the footer to choose topics.",
+        "newsletter.unavailable": "The newsletter service is unavailable right now. Please try again later.",
+
+        "region.detect": "Detect my region",
+        "cache.notice": "Showing cached content from {date}.",
+        "cache.earlier": "an earlier visit",
+        "cache.dismiss": "Dismiss cached content notice",
+
+        "media.viewer": "Media viewer",
+        "media.close": "Close",
+        "media.previous": "Previous",
+        "media.next": "Next",
+        "media.play": "Play {title}",
+        "media.watch": "Watch {title} (opens in a new tab)",
+        "media.zoom": "Zoom",
+        "media.count": "{index} of {total}",
+    },
+
+    "fr-FR": {
+        "common.returnHome": "Retour à l'accueil",
+        "common.copy": "Copier",
+        "common.copied": "Copié",
+        "common.selectAndCopy": "Sélectionner et copier",
+        "common.allGames": "Tous les jeux",
+        "common.language": "Langue",
+        "common.backToTop": "Retour en haut",
+
+        "news.readMore": "Lire la suite",
+        "news.imageAlt": "Illustration Newswire pour {title}",
+        "news.unavailable": "Le Newswire est temporairement indisponible.",
+        "news.none": "Aucun article ne correspond encore à ces filtres.",
+        "news.allCategories": "Toutes les catégories",
+        "news.allTopics": "Tous les sujets",
+        "news.filterTag": "avec l'étiquette « {tag} »",
+        "news.filterCategory": "dans {category}",
+        "news.filterGame": "sur {game}",
+        "news.summary": { one: "Affichage de {from} à {to} sur {count} article{filters}", other: "Affichage de {from} à {to} sur {count} articles{filters}" },
+        "news.summaryNone": "Aucun article{filters}",
+        "news.notFound": "Article introuvable.",
+        "news.failed": "Impossible de charger l'article.",
+        "news.back": "Retour au Newswire",
+
+        "pagination.previous": "Précédent",
+        "pagination.next": "Suivant",
+        "pagination.page": "Page {page}",
+
+        "games.explore": "Découvrir le jeu",
+        "games.exploreLabel": "Découvrir {title}",
+        "games.coverAlt": "Jaquette de {title}",
+        "games.keyArtAlt": "Illustration de {title}",
+        "games.officialCoverAlt": "Jaquette officielle de {title}",
+        "games.trailer": "Bande-annonce de {title}",
+        "games.screenshot": "Capture d'écran de {title}",
+        "games.unavailable": "Le catalogue des jeux est temporairement indisponible.",
+        "games.navUnavailable": "Jeux indisponibles.",
+        "games.notFound": "Jeu introuvable.",
+        "games.failed": "Impossible de charger les détails du jeu.",
+        "games.back": "Retour aux jeux",
+        "games.featured": "Jeu à la une",
+        "games.featuredExplore": "Découvrir",
+        "games.featuredAll": "Tout voir",
+        "games.featuredUnavailable": "Jeu à la une indisponible.",
+
+        "access.free": "Gratuit",
+        "access.priceFree": "Gratuit",
+        "access.playFree": "Jouer gratuitement",
+        "access.buy": "Acheter pour {price}",
+        "access.earlyAccess": "Accès anticipé · {price}",
+        "access.joinEarlyAccess": "Rejoindre l'accès anticipé",
+        "access.comingOn": "Disponible le {date}",
+        "access.comingSoon": "Bientôt disponible",
+        "access.wishlist": "Ajouter à la liste de souhaits",
+        "access.wishlistOn": "Ajouter à la liste de souhaits sur {store}",
+        "access.theStore": "la boutique",
+        "access.priceOn": "{price} sur {store}",
+        "access.availableOn": "Disponible sur {store}",
+        "access.getOn": "Obtenir sur {store}",
+        "access.unavailable": "Indisponible",
+        "access.currentlyUnavailable": "Actuellement indisponible",
+        "access.unavailableLabel": "{title} est actuellement indisponible",
+
+        "search.group.games": "Jeux",
+        "search.group.news": "Newswire",
+        "search.group.supportArticles": "Assistance",
+        "search.prompt": "Recherchez des jeux, des articles du Newswire et des guides d'assistance.",
+        "search.title": "Recherche : {query} | Reflex Interactive",
+        "search.results": { one: "{count} résultat pour « {query} »", other: "{count} résultats pour « {query} »" },
+        "search.none": "Aucun résultat pour « {query} ». Vérifiez l'orthographe ou essayez un terme plus large.",
+        "search.unavailable": "La recherche est temporairement indisponible.",
+
+        "support.gameAlt": "Catégorie d'assistance {title}",
+        "support.read": "Lire",
+        "support.updatedRecently": "Mis à jour récemment",
+        "support.selectedGame": "Jeu sélectionné",
+        "support.notGameSpecific": "Pas lié à un jeu",
+        "support.filterSearch": "recherche « {query} »",
+        "support.summary": { one: "{count} article affiché", other: "{count} articles affichés" },
+        "support.summaryFor": { one: "{count} article affiché pour {filters}", other: "{count} articles affichés pour {filters}" },
+        "support.noMatches": "Aucun article correspondant",
+        "support.noMatchesHint": "Essayez une autre recherche ou envoyez une demande avec un maximum de détails.",
+        "support.contact": "Contacter l'assistance",
+        "support.back": "Retour aux articles",
+        "support.related": "Articles associés",
+        "support.useInTicket": "Utiliser dans une demande d'assistance",
+        "support.gamesUnavailable": "Les catégories d'assistance par jeu sont temporairement indisponibles.",
+        "support.articlesUnavailable": "Les articles d'assistance sont temporairement indisponibles. Écrivez à support@reflexinteractive.com.",
+        "support.selected": "Sélection : {title}",
+        "support.noGameSelected": "Aucun jeu sélectionné",
+        "support.sending": "Envoi de votre demande...",
+        "support.received": "Demande {reference} reçue. Indiquez cette référence si vous nous contactez au sujet du même problème.",
+        "support.tooMany": "Trop de demandes ont été envoyées depuis cette connexion. Réessayez plus tard.",
+        "support.emailInstead": "{message} Vous pouvez aussi écrire à support@reflexinteractive.com.",
+        "support.mailFallback": "Le service de demandes est injoignable : votre messagerie va s'ouvrir avec les détails de la demande. Si rien ne s'ouvre, écrivez à support@reflexinteractive.com.",
+        "support.collectingDiagnostics": "Collecte des diagnostics...",
+        "support.subject": "Demande d'assistance : {category}",
+        "support.subjectArticle": "Question sur : {title}",
+        "support.messageArticle": "J'ai lu l'article d'assistance « {title} » et j'ai encore besoin d'aide pour :",
+        "support.invalid": "Certains champs doivent être corrigés avant l'envoi de la demande.",
+        "support.hintName": "Indiquez votre nom, 100 caractères maximum.",
+        "support.hintEmail": "Indiquez une adresse e-mail valide pour que nous puissions répondre.",
+        "support.hintCategory": "Choisissez une catégorie.",
+        "support.hintGame": "Le jeu doit faire moins de 100 caractères.",
+        "support.hintPlatform": "La plateforme doit faire moins de 60 caractères.",
+        "support.hintSubject": "L'objet doit faire moins de 150 caractères.",
+        "support.hintMessage": "Décrivez le problème en 20 à 5000 caractères.",
+        "support.hintField": "Vérifiez ce champ.",
+
+        "feedback.label": "Avis sur l'article",
+        "feedback.ratedHelpful": "Vous avez trouvé cet article utile. Merci pour votre avis.",
+        "feedback.ratedUnhelpful": "Vous n'avez pas trouvé cet article utile. Merci pour votre avis.",
+        "feedback.question": "Cet article vous a-t-il aidé ?",
+        "feedback.yes": "Oui",
+        "feedback.no": "Non",
+        "feedback.comment": "Quelque chose à ajouter ou à corriger ? (facultatif)",
+        "feedback.send": "Envoyer l'avis",
+        "feedback.gladItHelped": "Ravi que cela vous ait aidé. Merci de nous l'avoir dit.",
+        "feedback.sorry": "Désolé que cela ne vous ait pas aidé. Dites-nous ce qui manquait et nous l'améliorerons.",
+        "feedback.commentSent": "Merci, votre commentaire a été envoyé à l'équipe d'assistance.",
+        "feedback.commentFailed": "Votre commentaire n'a pas pu être envoyé. Réessayez plus tard.",
+
+        "launcher.preparing": "Préparation du launcher...",
+        "launcher.download": "Télécharger le launcher",
+        "launcher.downloadFor": "Télécharger pour {platform}",
+        "launcher.downloadLabel": "Télécharger Reflex Interactive Launcher v{version} pour {platform}",
+        "launcher.unavailable": "Launcher indisponible",
+        "launcher.temporarilyUnavailable": "Launcher temporairement indisponible",
+        "launcher.pageUnavailable": "Les informations de version du launcher sont temporairement indisponibles. Réessayez plus tard.",
+        "launcher.yourDevice": "Votre appareil",
+        "launcher.checksum": "Somme de contrôle SHA-256",
+        "launcher.signedBy": "Signé par {signer}",
+        "launcher.signature": "Fichier de signature",
+        "launcher.checkFile": "Vérifier ce fichier après le téléchargement",
+        "launcher.howToVerify": "Comment vérifier",
+        "launcher.requirements": "Configuration minimale",
+        "launcher.downloads": "Téléchargements",
+        "launcher.current": "Version actuelle",
+        "launcher.released": "Publiée le {date}",
+        "launcher.version": "Version {version}",
+        "launcher.unknownVersion": "inconnue",
+        "launcher.noHistory": "Aucune version précédente n'est disponible au téléchargement.",
+        "launcher.verifyUnsupported": "Ce navigateur ne peut pas calculer l'empreinte des fichiers ici. Utilisez plutôt l'une des commandes ci-dessus.",
+        "launcher.verifyChecking": "Vérification de {file}...",
+        "launcher.verifyGenuine": "Authentique.",
+        "launcher.verifyMatch": "{file} correspond au téléchargement officiel ({platform}, {format}) de la version {version}.",
+        "launcher.verifyNoMatch": "Aucune correspondance.",
+        "launcher.verifyMismatch": "{file} ne correspond à aucun téléchargement officiel du launcher. Ne l'exécutez pas ; téléchargez à nouveau le launcher depuis cette page.",
+        "launcher.verifyFailed": "Le fichier n'a pas pu être vérifié. Réessayez.",
+
+        "newsletter.failed": "Une erreur s'est produite",
+        "newsletter.subscribed": "Vous êtes inscrit",
+        "newsletter.confirmed": "Merci d'avoir confirmé {email}. Nous n'enverrons que ce que vous demandez.",
+        "newsletter.chooseTopics": "Choisir les sujets",
+        "newsletter.unsubscribe": "Se désabonner",
+        "newsletter.unsubscribeQuestion": "Arrêter tous les e-mails de la newsletter Reflex Interactive à cette adresse ?",
+        "newsletter.changeTopics": "Modifier plutôt les sujets",
+        "newsletter.preferences": "Préférences de la newsletter",
+        "newsletter.choose": "Choisissez ce que nous envoyons à {email}.",
+        "newsletter.studio": "Studio",
+        "newsletter.studioNews": "Actualités et annonces du studio",
+        "newsletter.patchNotes": "Notes de mise à jour et nouveautés du launcher",
+        "newsletter.games": "Jeux",
+        "newsletter.save": "Enregistrer les préférences",
+        "newsletter.unsubscribeAll": "Se désabonner de tout",
+        "newsletter.unsubscribed": "Vous êtes désabonné",
+        "newsletter.unsubscribedBody": "Nous n'écrirons plus à {email}. Vous pouvez vous réinscrire depuis le pied de page à tout moment.",
+        "newsletter.signingUp": "Inscription en cours...",
+        "newsletter.checkInbox": "C'est presque fini. Consultez votre boîte de réception et cliquez sur le lien pour confirmer votre inscription.",
+        "newsletter.saved": "Vos préférences ont été enregistrées.",
+        "newsletter.invalidEmail": "Cette adresse e-mail ne semble pas valide. Vérifiez-la et réessayez.",
+        "newsletter.alreadySubscribed": "Vous êtes déjà inscrit. Utilisez le lien de l'un de nos e-mails pour choisir ce que vous recevez.",
+        "newsletter.rateLimited": { one: "Trop de tentatives d'inscription depuis cette connexion. Réessayez dans {count} minute.", other: "Trop de tentatives d'inscription depuis cette connexion. Réessayez dans {count} minutes." },
+        "newsletter.invalidToken": "Ce lien n'est pas valide. Vérifiez que vous avez utilisé le lien complet de l'e-mail.",
+        "newsletter.expiredToken": "Ce lien a expiré. Inscrivez-vous à nouveau et nous vous en enverrons un nouveau.",
+        "newsletter.notSubscribed": "Cette adresse n'est plus inscrite. Réinscrivez-vous depuis le pied de page pour choisir vos sujets.",
+        "newsletter.unavailable": "Le service de newsletter est indisponible pour le moment. Réessayez plus tard.",
+
+        "region.detect": "Détecter ma région",
+        "cache.notice": "Contenu en cache, enregistré : {date}.",
+        "cache.earlier": "une visite précédente",
+        "cache.dismiss": "Fermer l'avis de contenu en cache",
+
+        "media.viewer": "Visionneuse",
+        "media.close": "Fermer",
+        "media.previous": "Précédent",
+        "media.next": "Suivant",
+        "media.play": "Lire : {title}",
+        "media.watch": "Regarder : {title} (nouvel onglet)",
+        "media.zoom": "Zoom",
+        "media.count": "{index} sur {total}",
+    },
+
+    "de-DE": {
+        "common.returnHome": "Zur Startseite",
+        "common.copy": "Kopieren",
+        "common.copied": "Kopiert",
+        "common.selectAndCopy": "Markieren und kopieren",
+        "common.allGames": "Alle Spiele",
+        "common.language": "Sprache",
+        "common.backToTop": "Nach oben",
+
+        "news.readMore": "Weiterlesen",
+        "news.imageAlt": "Newswire-Artwork zu {title}",
+        "news.unavailable": "Der Newswire ist vorübergehend nicht verfügbar.",
+        "news.none": "Noch keine Artikel zu diesen Filtern.",
+        "news.allCategories": "Alle Kategorien",
+        "news.allTopics": "Alle Themen",
+        "news.filterTag": "mit dem Schlagwort „{tag}“",
+        "news.filterCategory": "in {category}",
+        "news.filterGame": "über {game}",
+        "news.summary": { one: "{from}-{to} von {count} Artikel{filters}", other: "{from}-{to} von {count} Artikeln{filters}" },
+        "news.summaryNone": "Keine Artikel{filters}",
+        "news.notFound": "Artikel nicht gefunden.",
+        "news.failed": "Artikel konnte nicht geladen werden.",
+        "news.back": "Zurück zum Newswire",
+
+        "pagination.previous": "Zurück",
+        "pagination.next": "Weiter",
+        "pagination.page": "Seite {page}",
+
+        "games.explore": "Spiel ansehen",
+        "games.exploreLabel": "{title} ansehen",
+        "games.coverAlt": "Cover von {title}",
+        "games.keyArtAlt": "Artwork von {title}",
+        "games.officialCoverAlt": "Offizielles Cover von {title}",
+        "games.trailer": "Trailer zu {title}",
+        "games.screenshot": "Screenshot aus {title}",
+        "games.unavailable": "Der Spielekatalog ist vorübergehend nicht verfügbar.",
+        "games.navUnavailable": "Spiele nicht verfügbar.",
+        "games.notFound": "Spiel nicht gefunden.",
+        "games.failed": "Spieldetails konnten nicht geladen werden.",
+        "games.back": "Zurück zu den Spielen",
+        "games.featured": "Empfohlenes Spiel",
+        "games.featuredExplore": "Ansehen",
+        "games.featuredAll": "Alle anzeigen",
+        "games.featuredUnavailable": "Empfohlenes Spiel nicht verfügbar.",
+
+        "access.free": "Kostenlos spielbar",
+        "access.priceFree": "Kostenlos",
+        "access.playFree": "Kostenlos spielen",
+        "access.buy": "Jetzt für {price} kaufen",
+        "access.earlyAccess": "Early Access · {price}",
+        "access.joinEarlyAccess": "Early Access beitreten",
+        "access.comingOn": "Erscheint am {date}",
+        "access.comingSoon": "Demnächst",
+        "access.wishlist": "Auf die Wunschliste",
+        "access.wishlistOn": "Auf {store} auf die Wunschliste",
+        "access.theStore": "dem Store",
+        "access.priceOn": "{price} auf {store}",
+        "access.availableOn": "Erhältlich auf {store}",
+        "access.getOn": "Auf {store} holen",
+        "access.unavailable": "Nicht verfügbar",
+        "access.currentlyUnavailable": "Derzeit nicht verfügbar",
+        "access.unavailableLabel": "{title} ist derzeit nicht verfügbar",
+
+        "search.group.games": "Spiele",
+        "search.group.news": "Newswire",
+        "search.group.supportArticles": "Support",
+        "search.prompt": "Durchsuche Spiele, Newswire-Artikel und Support-Anleitungen.",
+        "search.title": "Suche: {query} | Reflex Interactive",
+        "search.results": { one: "{count} Ergebnis für „{query}“", other: "{count} Ergebnisse für „{query}“" },
+        "search.none": "Keine Ergebnisse für „{query}“. Prüfe die Schreibweise oder versuche einen allgemeineren Begriff.",
+        "search.unavailable": "Die Suche ist vorübergehend nicht verfügbar.",
+
+        "support.gameAlt": "Support-Kategorie {title}",
+        "support.read": "Lesen",
+        "support.updatedRecently": "Kürzlich aktualisiert",
+        "support.selectedGame": "Ausgewähltes Spiel",
+        "support.notGameSpecific": "Nicht spielbezogen",
+        "support.filterSearch": "Suche „{query}“",
+        "support.summary": { one: "{count} Artikel angezeigt", other: "{count} Artikel angezeigt" },
+        "support.summaryFor": { one: "{count} Artikel angezeigt für {filters}", other: "{count} Artikel angezeigt für {filters}" },
+        "support.noMatches": "Keine passenden Artikel",
+        "support.noMatchesHint": "Versuche eine andere Suche oder sende ein Ticket mit möglichst vielen Details.",
+        "support.contact": "Support kontaktieren",
+        "support.back": "Zurück zu den Artikeln",
+        "support.related": "Ähnliche Artikel",
+        "support.useInTicket": "Im Support-Ticket verwenden",
+        "support.gamesUnavailable": "Die Support-Kategorien für Spiele sind vorübergehend nicht verfügbar.",
+        "support.articlesUnavailable": "Support-Artikel sind vorübergehend nicht verfügbar. Bitte schreibe an support@reflexinteractive.com.",
+        "support.selected": "Ausgewählt: {title}",
+        "support.noGameSelected": "Kein Spiel ausgewählt",
+        "support.sending": "Ticket wird gesendet...",
+        "support.received": "Ticket {reference} ist eingegangen. Gib diese Referenz an, wenn du uns zum selben Problem kontaktierst.",
+        "support.tooMany": "Von dieser Verbindung wurden zu viele Tickets gesendet. Bitte versuche es später erneut.",
+        "support.emailInstead": "{message} Du kannst auch an support@reflexinteractive.com schreiben.",
+        "support.mailFallback": "Der Ticket-Service ist nicht erreichbar, deshalb öffnet sich dein E-Mail-Programm mit den Ticketdetails. Falls sich nichts öffnet, schreibe an support@reflexinteractive.com.",
+        "support.collectingDiagnostics": "Diagnosedaten werden gesammelt...",
+        "support.subject": "Support-Anfrage: {category}",
+        "support.subjectArticle": "Frage zu: {title}",
+        "support.messageArticle": "Ich habe den Support-Artikel „{title}“ gelesen und brauche noch Hilfe bei:",
+        "support.invalid": "Einige Felder müssen noch korrigiert werden, bevor das Ticket gesendet werden kann.",
+        "support.hintName": "Gib deinen Namen mit höchstens 100 Zeichen ein.",
+        "support.hintEmail": "Gib eine gültige E-Mail-Adresse ein, damit wir antworten können.",
+        "support.hintCategory": "Wähle eine Kategorie.",
+        "support.hintGame": "Das Spiel darf höchstens 100 Zeichen lang sein.",
+        "support.hintPlatform": "Die Plattform darf höchstens 60 Zeichen lang sein.",
+        "support.hintSubject": "Der Betreff darf höchstens 150 Zeichen lang sein.",
+        "support.hintMessage": "Beschreibe das Problem in 20 bis 5000 Zeichen.",
+        "support.hintField": "Prüfe dieses Feld.",
+
+        "feedback.label": "Feedback zum Artikel",
+        "feedback.ratedHelpful": "Du hast diesen Artikel als hilfreich bewertet. Danke für dein Feedback.",
+        "feedback.ratedUnhelpful": "Du hast diesen Artikel als nicht hilfreich bewertet. Danke für dein Feedback.",
+        "feedback.question": "War dieser Artikel hilfreich?",
+        "feedback.yes": "Ja",
+        "feedback.no": "Nein",
+        "feedback.comment": "Sollen wir etwas ergänzen oder korrigieren? (optional)",
+        "feedback.send": "Feedback senden",
+        "feedback.gladItHelped": "Schön, dass es geholfen hat. Danke für die Rückmeldung.",
+        "feedback.sorry": "Schade, dass es nicht geholfen hat. Sag uns, was gefehlt hat, dann verbessern wir es.",
+        "feedback.commentSent": "Danke, dein Kommentar wurde an das Support-Team gesendet.",
+        "feedback.commentFailed": "Dein Kommentar konnte nicht gesendet werden. Bitte versuche es später erneut.",
+
+        "launcher.preparing": "Launcher wird vorbereitet...",
+        "launcher.download": "Launcher herunterladen",
+        "launcher.downloadFor": "Für {platform} herunterladen",
+        "launcher.downloadLabel": "Reflex Interactive Launcher v{version} für {platform} herunterladen",
+        "launcher.unavailable": "Launcher nicht verfügbar",
+        "launcher.temporarilyUnavailable": "Launcher vorübergehend nicht verfügbar",
+        "launcher.pageUnavailable": "Die Versionsinformationen zum Launcher sind vorübergehend nicht verfügbar. Bitte versuche es später erneut.",
+        "launcher.yourDevice": "Dein Gerät",
+        "launcher.checksum": "SHA-256-Prüfsumme",
+        "launcher.signedBy": "Signiert von {signer}",
+        "launcher.signature": "Signaturdatei",
+        "launcher.checkFile": "Diese Datei nach dem Download prüfen",
+        "launcher.howToVerify": "So prüfst du die Datei",
+        "launcher.requirements": "Mindestanforderungen",
+        "launcher.downloads": "Downloads",
+        "launcher.current": "Aktuelle Version",
+        "launcher.released": "Veröffentlicht am {date}",
+        "launcher.version": "Version {version}",
+        "launcher.unknownVersion": "unbekannt",
+        "launcher.noHistory": "Es stehen keine früheren Versionen zum Download bereit.",
+        "launcher.verifyUnsupported": "Dieser Browser kann hier keine Prüfsummen berechnen. Verwende stattdessen einen der Befehle oben.",
+        "launcher.verifyChecking": "{file} wird geprüft...",
+        "launcher.verifyGenuine": "Echt.",
+        "launcher.verifyMatch": "{file} ist der offizielle Download ({platform}, {format}) für Version {version}.",
+        "launcher.verifyNoMatch": "Keine Übereinstimmung.",
+        "launcher.verifyMismatch": "{file} entspricht keinem offiziellen Launcher-Download. Führe die Datei nicht aus, sondern lade den Launcher erneut von dieser Seite herunter.",
+        "launcher.verifyFailed": "Die Datei konnte nicht geprüft werden. Bitte versuche es erneut.",
+
+        "newsletter.failed": "Etwas ist schiefgelaufen",
+        "newsletter.subscribed": "Du hast den Newsletter abonniert",
+        "newsletter.confirmed": "Danke für die Bestätigung von {email}. Wir senden nur, was du angefordert hast.",
+        "newsletter.chooseTopics": "Themen auswählen",
+        "newsletter.unsubscribe": "Abmelden",
+        "newsletter.unsubscribeQuestion": "Alle Newsletter-E-Mails von Reflex Interactive an diese Adresse beenden?",
+        "newsletter.changeTopics": "Stattdessen Themen ändern",
+        "newsletter.preferences": "Newsletter-Einstellungen",
+        "newsletter.choose": "Wähle aus, was wir an {email} senden.",
+        "newsletter.studio": "Studio",
+        "newsletter.studioNews": "Studio-News und Ankündigungen",
+        "newsletter.patchNotes": "Patchnotes und Launcher-Updates",
+        "newsletter.games": "Spiele",
+        "newsletter.save": "Einstellungen speichern",
+        "newsletter.unsubscribeAll": "Von allem abmelden",
+        "newsletter.unsubscribed": "Du bist abgemeldet",
+        "newsletter.unsubscribedBody": "Wir schreiben {email} nicht mehr an. Du kannst dich jederzeit über die Fußzeile erneut anmelden.",
+        "newsletter.signingUp": "Anmeldung läuft...",
+        "newsletter.checkInbox": "Fast geschafft. Sieh in deinem Posteingang nach und klicke auf den Link, um dein Abonnement zu bestätigen.",
+        "newsletter.saved": "Deine Einstellungen wurden gespeichert.",
+        "newsletter.invalidEmail": "Das sieht nicht nach einer gültigen E-Mail-Adresse aus. Prüfe sie und versuche es erneut.",
+        "newsletter.alreadySubscribed": "Du bist bereits angemeldet. Über den Link in jeder unserer E-Mails kannst du ändern, was du erhältst.",
+        "newsletter.rateLimited": { one: "Zu viele Anmeldeversuche von dieser Verbindung. Bitte versuche es in {count} Minute erneut.", other: "Zu viele Anmeldeversuche von dieser Verbindung. Bitte versuche es in {count} Minuten erneut." },
+        "newsletter.invalidToken": "Dieser Link ist ungültig. Achte darauf, den vollständigen Link aus der E-Mail zu verwenden.",
+        "newsletter.expiredToken": "Dieser Link ist abgelaufen. Melde dich erneut an, dann schicken wir dir einen neuen.",
+        "newsletter.notSubscribed": "Diese Adresse ist nicht mehr angemeldet. Melde dich über die Fußzeile erneut an, um Themen auszuwählen.",
+        "newsletter.unavailable": "Der Newsletter-Dienst ist gerade nicht verfügbar. Bitte versuche es später erneut.",
+
+        "region.detect": "Meine Region erkennen",
+        "cache.notice": "Inhalte aus dem Zwischenspeicher, gespeichert: {date}.",
+        "cache.earlier": "bei einem früheren Besuch",
+        "cache.dismiss": "Hinweis zu zwischengespeicherten Inhalten schließen",
+
+        "media.viewer": "Medienansicht",
+        "media.close": "Schließen",
+        "media.previous": "Zurück",
+        "media.next": "Weiter",
+        "media.play": "{title} abspielen",
+        "media.watch": "{title} ansehen (öffnet in neuem Tab)",
+        "media.zoom": "Zoomen",
+        "media.count": "{index} von {total}",
+    },
+});
@@ -1,8 +1,25 @@
 window.REFLEX_SITE_CONFIG = Object.freeze({
     version: "v2.0.0",
     locale: "en-GB",
+    locales: {
+        "en-GB": "English",
+        "fr-FR": "Français",
+        "de-DE": "Deutsch",
+    },
     defaultCountry: "GB",
     defaultCurrency: "GBP",
+    regions: {
+        GB: { label: "United Kingdom", currency: "GBP" },
+        IE: { label: "Ireland", currency: "EUR" },
+        FR: { label: "France", currency: "EUR" },
+        DE: { label: "Germany", currency: "EUR" },
+        ES: { label: "Spain", currency: "EUR" },
+        IT: { label: "Italy", currency: "EUR" },
+        NL: { label: "Netherlands", currency: "EUR" },
+        US: { label: "United States", currency: "USD" },
+        CA: { label: "Canada", currency: "CAD" },
+        AU: { label: "Australia", currency: "AUD" },
+    },
     launcherRuntime: "win-x64",
     urls: {
         site: "https://reflexinteractive.com",
@@ -16,13 +33,29 @@ window.REFLEX_SITE_CONFIG = Object.freeze({
         supportArticles: "https://gist.githubusercontent.com/ryanduncuft/3308af53408db611254490f5c0b8611f/raw/reflex-support.json",
         logo: "https://res.cloudinary.com/dvju1xiaw/image/upload/q_auto,f_auto/v1778532761/Reflex_Interactive_Logo_no_back_srtf76.png",
     },
+    endpoints: {
+        supportTicket: "/api/support-ticket",
+        supportFeedback: "/api/support-feedback",
+        newsletter: "/api/newsletter",
+    },
+    cache: {
+        name: "reflex-content-v1",
+        ttlMinutes: {
+            games: 60,
+            news: 15,
+            supportArticles: 60,
+        },
+    },
     routes: {
         gameDetails: "/game-details",
         games: "/games",
+        newswire: "/newswire",
+        newswireDetails: "/newswire-details",
     },
     ui: {
         revealDelay: 70,
         navScrollY: 24,
         railRatio: 0.86,
+        newsPageSize: 9,
     },
 });
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Newsletter subscriptions with double opt-in.
+ * @description One endpoint for the whole subscriber lifecycle, selected by the `action` field:
+ * subscribe (emails a signed confirmation link), confirm, preferences, update and unsubscribe.
+ * Emails go out through the newsletter-email outbox; subscriber state lives in lib/subscribers.
+ * Every emailed link carries the record's nonce, which subscribing again or unsubscribing replaces,
+ * so old confirmation and preference links stop working once the subscriber has moved on.
+ */
+"use strict";
+
+const crypto = require("node:crypto");
+const { clientIp, header, json, methodNotAllowed, parseBody } = require("../lib/http");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { deliver } = require("../lib/outbox");
+const subscribers = require("../lib/subscribers");
+const tokens = require("../lib/tokens");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TOPIC_PATTERN = /^(studio-news|patch-notes|game:[a-z0-9-]{1,60})$/;
+const DEFAULT_TOPICS = ["studio-news", "patch-notes"];
+const CONFIRM_TTL = 48 * 60 * 60 * 1000;
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+
+const clean = (value) => (typeof value === "string" ? value.trim() : "");
+
+const topicsFrom = (value) => {
+    const list = Array.isArray(value) ? value : clean(value).split(",");
+    return [...new Set(list.map(clean).filter((topic) => TOPIC_PATTERN.test(topic)))].slice(0, 30);
+};
+
+const nonce = () => crypto.randomBytes(16).toString("base64url");
+
+const invalidLink = () => Object.assign(new Error("This link is not valid."), { code: "invalid_token" });
+
+// The signed token names the address; the nonce proves it was issued for the record as it is now.
+const recordFor = async (token, purpose) => {
+    const payload = tokens.verify(token, purpose);
+    const record = await subscribers.get(payload.email);
+    if (!record || !payload.nonce || record.nonce !== payload.nonce) throw invalidLink();
+    return { email: payload.email, nonce: payload.nonce, record };
+};
+
+const siteUrl = (event) => (process.env.URL || `${header(event, "x-forwarded-proto") || "http"}://${header(event, "host") || "localhost"}`).replace(/\/$/, "");
+
+const manageLinks = (event, email, key) => {
+    const token = tokens.sign({ purpose: "manage", email, nonce: key });
+    return {
+        token,
+        preferences: `${siteUrl(event)}/newsletter/preferences?token=${token}`,
+        unsubscribe: `${siteUrl(event)}/newsletter/unsubscribe?token=${token}`,
+    };
+};
+
+const subscribe = async (event, input) => {
+    // Hidden from people; anything filling it in is a bot and gets a believable reply.
+    if (clean(input.website)) return json(202, { status: "pending" });
+
+    const email = clean(input.email).toLowerCase();
+    if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+        return json(400, { error: "invalid_email", message: "Enter a valid email address." });
+    }
+
+    const limit = limiter.check(clientIp(event));
+    if (!limit.allowed) {
+        return json(429, {
+            error: "rate_limited",
+            message: "Too many sign-up attempts from this connection. Please try again later.",
+            retryAfter: limit.retryAfter,
+        }, { "Retry-After": String(limit.retryAfter) });
+    }
+
+    const topics = topicsFrom(input.topics);
+    const saved = await subscribers.update(email, (current) => (current?.status === "confirmed" ? null : {
+        status: "pending",
+        nonce: nonce(),
+        topics: topics.length ? topics : DEFAULT_TOPICS,
+        requestedAt: new Date().toISOString(),
+    }));
+    if (saved.status === "confirmed") {
+        return json(409, { error: "already_subscribed", message: "This address is already subscribed. Use the link in any of our emails to change your preferences." });
+    }
+
+    const token = tokens.sign({ purpose: "confirm", email, nonce: saved.nonce }, CONFIRM_TTL);
+    await deliver("newsletter-email", {
+        template: "confirm",
+        to: email,
+        subject: "Confirm your Reflex Interactive newsletter subscription",
+        links: { confirm: `${siteUrl(event)}/newsletter/confirm?token=${token}` },
+    });
+
+    return json(202, { status: "pending" });
+};
+
+// Only a pending record can be confirmed; a second click on the same link is a harmless no-op.
+const confirm = async (event, input) => {
+    const { email, nonce: key } = await recordFor(input.token, "confirm");
+    let confirmed = false;
+    const record = await subscribers.update(email, (current) => {
+        confirmed = current?.nonce === key && current.status === "pending";
+        return confirmed ? { status: "confirmed", confirmedAt: new Date().toISOString() } : null;
+    });
+    if (record?.nonce !== key || record.status !== "confirmed") throw invalidLink();
+
+    const links = manageLinks(event, email, key);
+    if (confirmed) {
+        await deliver("newsletter-email", {
+            template: "welcome",
+            to: email,
+            subject: "You're subscribed to the Reflex Interactive newsletter",
+            links: { preferences: links.preferences, unsubscribe: links.unsubscribe },
+        });
+    }
+
+    return json(200, { status: "confirmed", email, topics: record.topics, token: links.token });
+};
+
+const preferences = async (event, input) => {
+    const { email, record } = await recordFor(input.token, "manage");
+    return json(200, { status: record.status, email, topics: record.topics || [] });
+};
+
+const update = async (event, input) => {
+    const { email, nonce: key } = await recordFor(input.token, "manage");
+    const topics = topicsFrom(input.topics);
+    const saved = await subscribers.update(email, (current) => (current?.nonce === key && current.status === "confirmed" ? { topics } : null));
+    if (saved?.nonce !== key) throw invalidLink();
+    if (saved.status !== "confirmed") return json(409, { error: "not_subscribed", message: "This address is not subscribed any more. Sign up again to choose topics." });
+    return json(200, { status: saved.status, email, topics: saved.topics });
+};
+
+// Unsubscribing replaces the nonce, so every link sent so far - including a confirmation link that
+// is still within its 48 hours - stops working.
+const unsubscribe = async (event, input) => {
+    const { email, nonce: key } = await recordFor(input.token, "manage");
+    await subscribers.update(email, (current) => (current?.nonce === key
+        ? { status: "unsubscribed", nonce: nonce(), unsubscribedAt: new Date().toISOString() }
+        : null));
+    return json(200, { status: "unsubscribed", email });
+};
+
+const ACTIONS = { subscribe, confirm, preferences, update, unsubscribe };
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== "POST") return methodNotAllowed(["POST"]);
+
+    let input;
+    try {
+        input = parseBody(event);
+    } catch (error) {
+        return json(400, { error: "invalid_body", message: error.message });
+    }
+
+    const action = ACTIONS[clean(input.action) || "subscribe"];
+    if (!action) return json(400, { error: "invalid_action", message: `Action must be one of: ${Object.keys(ACTIONS).join(", ")}.` });
+
+    try {
+        subscribers.connect(event);
+        return await action(event, input);
+    } catch (error) {
+        if (error.code === "invalid_token" || error.code === "expired_token") return json(400, { error: error.code, message: error.message });
+
+        console.error("[newsletter]", error);
+        return json(error.code === "not_configured" ? 503 : 502, {
+            error: "unavailable",
+            message: "The newsletter service is unavailable right now.",
+        });
+    }
+};
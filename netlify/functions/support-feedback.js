@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Support article feedback and deflection events.
+ * @description Accepts "was this helpful?" votes and comments plus the read, escalated and deflected
+ * events the support centre sends for each article, rate-limits them per client IP and forwards
+ * them through the support-feedback outbox.
+ */
+"use strict";
+
+const { clientIp, json, methodNotAllowed, parseBody } = require("../lib/http");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { deliver } = require("../lib/outbox");
+
+const TYPES = ["vote", "comment", "read", "escalated", "deflected"];
+
+const limiter = createRateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+
+const clean = (value) => {
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+    return "";
+};
+
+const validate = (input) => {
+    const type = clean(input.type);
+    const article = clean(input.article);
+
+    if (!TYPES.includes(type)) return { error: `Type must be one of: ${TYPES.join(", ")}.` };
+    if (!article || article.length > 100) return { error: "An article id under 100 characters is required." };
+
+    const record = { type, article };
+
+    if (type === "vote" || type === "comment") {
+        if (typeof input.helpful === "boolean") record.helpful = input.helpful;
+        else if (type === "vote") return { error: "Votes need a true or false helpful value." };
+    }
+
+    if (type === "comment") {
+        const comment = clean(input.comment);
+        if (!comment) return { error: "Comments cannot be empty." };
+        if (comment.length > 1000) return { error: "Please keep comments under 1000 characters." };
+        record.comment = comment;
+    }
+
+    if (type === "deflected") {
+        const seconds = Number(input.seconds);
+        if (Number.isFinite(seconds) && seconds >= 0) record.seconds = Math.min(Math.round(seconds), 86400);
+    }
+
+    return { record };
+};
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== "POST") return methodNotAllowed(["POST"]);
+
+    let input;
+    try {
+        input = parseBody(event);
+    } catch (error) {
+        return json(400, { error: "invalid_body", message: error.message });
+    }
+
+    const { record, error } = validate(input);
+    if (error) return json(400, { error: "validation", message: error });
+
+    const limit = limiter.check(clientIp(event));
+    if (!limit.allowed) {
+        return json(429, {
+            error: "rate_limited",
+            message: "Too much feedback has been sent from this connection. Please try again later.",
+            retryAfter: limit.retryAfter,
+        }, { "Retry-After": String(limit.retryAfter) });
+    }
+
+    try {
+        await deliver("support-feedback", {
+            receivedAt: new Date().toISOString(),
+            ...record,
+            page: clean(input.page).slice(0, 500),
+        });
+    } catch (error) {
+        console.error("[support-feedback]", error);
+        return json(error.code === "not_configured" ? 503 : 502, {
+            error: "unavailable",
+            message: "The feedback service is unavailable right now.",
+        });
+    }
+
+    return json(202, { ok: true });
+};
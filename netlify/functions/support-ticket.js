@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Support ticket intake.
+ * @description Validates tickets posted by the support form (including the optional diagnostics
+ * bundle), rate-limits them per client IP, forwards them through the support-ticket outbox and
+ * replies with a ticket reference.
+ */
+"use strict";
+
+const crypto = require("node:crypto");
+const { clientIp, header, json, methodNotAllowed, parseBody } = require("../lib/http");
+const { createRateLimiter } = require("../lib/rate-limit");
+const { deliver } = require("../lib/outbox");
+
+const CATEGORIES = ["technical", "bug-report", "downloads", "general"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 15 * 60 * 1000 });
+
+const clean = (value) => {
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+    return "";
+};
+
+const FIELDS = {
+    name: { required: true, max: 100 },
+    email: { required: true, max: 254, test: (value) => EMAIL_PATTERN.test(value), hint: "Enter a valid email address so we can reply." },
+    category: { required: true, test: (value) => CATEGORIES.includes(value), hint: `Choose one of: ${CATEGORIES.join(", ")}.` },
+    game: { max: 100 },
+    platform: { max: 60 },
+    subject: { max: 150 },
+    message: { required: true, min: 20, max: 5000 },
+};
+
+const validate = (input) => Object.entries(FIELDS).reduce((result, [field, rule]) => {
+    const value = clean(input[field]);
+
+    if (!value && rule.required) result.fields[field] = "This field is required.";
+    else if (value && rule.min && value.length < rule.min) result.fields[field] = `Please write at least ${rule.min} characters.`;
+    else if (value && rule.max && value.length > rule.max) result.fields[field] = `Please keep this under ${rule.max} characters.`;
+    else if (value && rule.test && !rule.test(value)) result.fields[field] = rule.hint;
+    else result.ticket[field] = value;
+
+    return result;
+}, { ticket: {}, fields: {} });
+
+const DIAGNOSTIC_FIELDS = ["siteVersion", "page", "userAgent", "platform", "launcherRuntime", "launcherVersion", "screen", "viewport", "locale", "timeZone", "collectedAt"];
+
+// Diagnostics come straight from the browser, so only known keys survive and every value is capped.
+const diagnostics = (input) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+
+    const report = DIAGNOSTIC_FIELDS.reduce((result, field) => {
+        const value = clean(input[field]);
+        if (value) result[field] = value.slice(0, 300);
+        return result;
+    }, {});
+
+    if (typeof input.online === "boolean") report.online = input.online;
+    if (Array.isArray(input.languages)) report.languages = input.languages.map(clean).filter(Boolean).slice(0, 10).map((value) => value.slice(0, 35));
+    if (Array.isArray(input.errors)) {
+        report.errors = input.errors.slice(-20).map((entry) => ({
+            time: clean(entry?.time).slice(0, 40),
+            message: clean(entry?.message).slice(0, 300),
+            source: clean(entry?.source).slice(0, 200),
+        })).filter((entry) => entry.message);
+    }
+
+    return report;
+};
+
+const reference = (now = new Date()) => `RI-${now.toISOString().slice(2, 10).replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== "POST") return methodNotAllowed(["POST"]);
+
+    let input;
+    try {
+        input = parseBody(event);
+    } catch (error) {
+        return json(400, { error: "invalid_body", message: error.message });
+    }
+
+    // The support form hides this field from people; anything filling it in is a bot, so it gets a
+    // believable reply and nothing is forwarded.
+    if (clean(input.website)) return json(201, { reference: reference() });
+
+    const { ticket, fields } = validate(input);
+    if (Object.keys(fields).length) {
+        return json(400, { error: "validation", message: "Some fields need attention before the ticket can be sent.", fields });
+    }
+
+    const limit = limiter.check(clientIp(event));
+    if (!limit.allowed) {
+        return json(429, {
+            error: "rate_limited",
+            message: "Too many tickets have been sent from this connection. Please try again later.",
+            retryAfter: limit.retryAfter,
+        }, { "Retry-After": String(limit.retryAfter) });
+    }
+
+    const record = {
+        reference: reference(),
+        receivedAt: new Date().toISOString(),
+        ...ticket,
+        page: clean(input.page).slice(0, 500),
+        userAgent: header(event, "user-agent").slice(0, 300),
+        diagnostics: diagnostics(input.diagnostics),
+    };
+
+    try {
+        await deliver("support-ticket", record);
+    } catch (error) {
+        console.error("[support-ticket]", error);
+        return json(error.code === "not_configured" ? 503 : 502, {
+            error: "unavailable",
+            message: "The ticket service is unavailable right now.",
+        });
+    }
+
+    return json(201, { reference: record.reference });
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Shared request and response helpers for the Netlify Functions.
+ * @description Keeps JSON responses, body parsing and client identification consistent across
+ * every endpoint, whether it runs on Netlify or under scripts/dev-server.js.
+ */
+"use strict";
+
+const JSON_HEADERS = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+};
+
+const json = (statusCode, payload, headers = {}) => ({
+    statusCode,
+    headers: { ...JSON_HEADERS, ...headers },
+    body: JSON.stringify(payload),
+});
+
+const methodNotAllowed = (allowed) => json(405, {
+    error: "method_not_allowed",
+    message: `Use ${allowed.join(" or ")} for this endpoint.`,
+}, { Allow: allowed.join(", ") });
+
+const header = (event, name) => {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+    return key ? String(headers[key]) : "";
+};
+
+const parseBody = (event) => {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+    const type = header(event, "content-type").split(";")[0].trim().toLowerCase();
+
+    if (type === "application/x-www-form-urlencoded") return Object.fromEntries(new URLSearchParams(raw));
+    if (type && type !== "application/json") throw new TypeError(`Unsupported content type "${type}"`);
+
+    const payload = JSON.parse(raw || "{}");
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) throw new TypeError("Request body must be a JSON object");
+    return payload;
+};
+
+const clientIp = (event) => header(event, "x-nf-client-connection-ip")
+    || header(event, "x-forwarded-for").split(",")[0].trim()
+    || header(event, "client-ip")
+    || "unknown";
+
+module.exports = {
+    clientIp,
+    header,
+    json,
+    methodNotAllowed,
+    parseBody,
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Delivery for records collected by the Netlify Functions.
+ * @description Each channel forwards to a webhook (`<CHANNEL>_WEBHOOK`, e.g. a help desk or chat
+ * integration) or, for local development, appends JSON lines to a file (`<CHANNEL>_LOG`).
+ */
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const envKey = (channel) => channel.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+const deliver = async (channel, record) => {
+    const key = envKey(channel);
+    const webhook = process.env[`${key}_WEBHOOK`];
+    const log = process.env[`${key}_LOG`];
+
+    if (webhook) {
+        const response = await fetch(webhook, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(record),
+        });
+        if (!response.ok) throw new Error(`${key}_WEBHOOK responded with HTTP ${response.status}`);
+        return "webhook";
+    }
+
+    if (log) {
+        await fs.mkdir(path.dirname(path.resolve(log)), { recursive: true });
+        await fs.appendFile(log, `${JSON.stringify(record)}\n`);
+        return "log";
+    }
+
+    const error = new Error(`Neither ${key}_WEBHOOK nor ${key}_LOG is configured`);
+    error.code = "not_configured";
+    throw error;
+};
+
+module.exports = { deliver };
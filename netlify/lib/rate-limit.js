@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Fixed-window rate limiting for the Netlify Functions.
+ * @description Counts requests per key in memory. A warm function instance keeps its counters
+ * between invocations, which is enough to stop a single client hammering an endpoint; cold
+ * starts reset the window.
+ */
+"use strict";
+
+const createRateLimiter = ({ limit, windowMs }) => {
+    const hits = new Map();
+
+    const prune = (now) => {
+        hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) hits.delete(key);
+        });
+    };
+
+    return {
+        check: (key, now = Date.now()) => {
+            prune(now);
+
+            const entry = hits.get(key) || { count: 0, resetAt: now + windowMs };
+            entry.count += 1;
+            hits.set(key, entry);
+
+            return {
+                allowed: entry.count <= limit,
+                remaining: Math.max(0, limit - entry.count),
+                retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+            };
+        },
+    };
+};
+
+module.exports = { createRateLimiter };
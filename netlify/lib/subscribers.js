@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Newsletter subscriber records.
+ * @description Stores one record per email address. Deployed functions keep them in the
+ * "newsletter-subscribers" Netlify Blobs store, one key per address; when NEWSLETTER_STORE names a
+ * JSON file (scripts/dev-server.js defaults it to .data/), records live there instead for local
+ * development. Every change is a compare-and-swap, so concurrent requests never overwrite each other.
+ */
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { connectLambda, getStore } = require("@netlify/blobs");
+
+const STORE_NAME = "newsletter-subscribers";
+const MAX_ATTEMPTS = 5;
+
+const blobs = {
+    store: () => {
+        try {
+            return getStore({ name: STORE_NAME, consistency: "strong" });
+        } catch (error) {
+            if (error.name === "MissingBlobsEnvironmentError") error.code = "not_configured";
+            throw error;
+        }
+    },
+
+    key: (email) => encodeURIComponent(email),
+
+    read: async (email) => {
+        const entry = await blobs.store().getWithMetadata(blobs.key(email), { type: "json" });
+        return { record: entry?.data || null, version: entry?.etag || "" };
+    },
+
+    // Only writes if the record is still the version that was read (or still absent).
+    write: async (email, record, version) => {
+        const result = await blobs.store().setJSON(blobs.key(email), record, version ? { onlyIfMatch: version } : { onlyIfNew: true });
+        return result.modified;
+    },
+};
+
+// Local development only: a single JSON file, with writes queued inside this process.
+const file = {
+    queue: Promise.resolve(),
+
+    path: () => path.resolve(process.env.NEWSLETTER_STORE),
+
+    load: async () => {
+        try {
+            return JSON.parse(await fs.readFile(file.path(), "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return {};
+            throw error;
+        }
+    },
+
+    read: async (email) => {
+        const record = (await file.load())[email] || null;
+        return { record, version: record ? JSON.stringify(record) : "" };
+    },
+
+    // The temporary file is unique per write, so a crash mid-write never leaves a truncated store
+    // and two writers never share one.
+    write: (email, record, version) => {
+        const run = file.queue.then(async () => {
+            const target = file.path();
+            const records = await file.load();
+            if ((records[email] ? JSON.stringify(records[email]) : "") !== version) return false;
+
+            records[email] = record;
+            const temporary = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(temporary, JSON.stringify(records, null, 2));
+            await fs.rename(temporary, target);
+            return true;
+        });
+        file.queue = run.catch(() => undefined);
+        return run;
+    },
+};
+
+const backend = () => (process.env.NEWSLETTER_STORE ? file : blobs);
+
+// Lambda-style handlers receive their Blobs credentials on the event rather than the environment.
+const connect = (event) => {
+    if (!process.env.NEWSLETTER_STORE && event?.blobs) connectLambda(event);
+};
+
+const get = async (email) => (await backend().read(email)).record;
+
+// `change` receives the current record (or null) and returns the fields to save, or null to leave
+// the record alone. It runs again on a fresh copy whenever another request got there first.
+const update = async (email, change) => {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+        const { record, version } = await backend().read(email);
+        const fields = change(record);
+        if (!fields) return record;
+
+        const next = { ...record, ...fields, updatedAt: new Date().toISOString() };
+        if (await backend().write(email, next, version)) return next;
+    }
+
+    throw new Error(`Subscriber record for ${email} kept changing; gave up after ${MAX_ATTEMPTS} attempts`);
+};
+
+module.exports = { connect, get, update };
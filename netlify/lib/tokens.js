@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Signed, self-describing tokens for links sent by email.
+ * @description A token is a base64url JSON payload plus an HMAC-SHA256 signature keyed by
+ * NEWSLETTER_SECRET, so confirmation and preference links can be checked without storing them.
+ */
+"use strict";
+
+const crypto = require("node:crypto");
+
+const secret = () => {
+    const value = process.env.NEWSLETTER_SECRET;
+    if (!value) {
+        const error = new Error("NEWSLETTER_SECRET is not configured");
+        error.code = "not_configured";
+        throw error;
+    }
+    return value;
+};
+
+const signature = (body) => crypto.createHmac("sha256", secret()).update(body).digest("base64url");
+
+const sign = (payload, ttlMs = 0) => {
+    const body = Buffer.from(JSON.stringify({ ...payload, ...(ttlMs ? { exp: Date.now() + ttlMs } : {}) })).toString("base64url");
+    return `${body}.${signature(body)}`;
+};
+
+// Returns the payload, or throws with code "invalid_token" or "expired_token".
+const verify = (token, purpose) => {
+    const fail = (code, message) => Object.assign(new Error(message), { code });
+    const [body = "", mac = ""] = String(token || "").split(".");
+    const expected = body ? signature(body) : "";
+
+    if (!body || mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+        throw fail("invalid_token", "This link is not valid.");
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch {
+        throw fail("invalid_token", "This link is not valid.");
+    }
+
+    if (payload.purpose !== purpose) throw fail("invalid_token", "This link is not valid.");
+    if (payload.exp && payload.exp < Date.now()) throw fail("expired_token", "This link has expired.");
+    return payload;
+};
+
+module.exports = { sign, verify };
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Local development server.
+ * @description Serves the static site with the pretty-URL rewrites from netlify.toml and runs the
+ * handlers in netlify/functions under /api/* and /.netlify/functions/*, so the site and its
+ * endpoints work locally without the Netlify CLI. Function output that would normally go to a
+ * webhook is appended to .data/<channel>.jsonl unless the matching environment variable is set,
+ * and newsletter subscribers are kept in .data/newsletter-subscribers.json.
+ *
+ * Usage: node scripts/dev-server.js [--port 8888]
+ */
+"use strict";
+
+const fs = require("node:fs/promises");
+const http = require("node:http");
+const path = require("node:path");
+const { ROOT, args } = require("./lib/site");
+
+const TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".xml": "application/xml; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".ico": "image/x-icon",
+};
+
+const REWRITES = [
+    [/^\/games\/[^/]+\/?$/, "/game-details.html"],
+    [/^\/newswire\/[^/]+\/?$/, "/newswire-details.html"],
+    [/^\/newsletter\/(confirm|unsubscribe|preferences)\/?$/, "/newsletter.html"],
+];
+
+const FUNCTION_ROUTE = /^\/(?:api|\.netlify\/functions)\/([a-z0-9-]+)\/?$/;
+const MAX_BODY = 1024 * 1024;
+
+["support-ticket", "support-feedback", "newsletter-email"].forEach((channel) => {
+    const key = `${channel.toUpperCase().replace(/-/g, "_")}_LOG`;
+    if (!process.env[key] && !process.env[key.replace(/_LOG$/, "_WEBHOOK")]) process.env[key] = path.join(ROOT, ".data", `${channel}.jsonl`);
+});
+
+process.env.NEWSLETTER_STORE ||= path.join(ROOT, ".data", "newsletter-subscribers.json");
+process.env.NEWSLETTER_SECRET ||= "local-development-only";
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            reject(new Error("Request body too large"));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+});
+
+const isFile = async (file) => {
+    try {
+        return (await fs.stat(file)).isFile();
+    } catch {
+        return false;
+    }
+};
+
+const resolveFile = async (pathname) => {
+    const rewrite = REWRITES.find(([pattern]) => pattern.test(pathname));
+    const candidates = rewrite ? [rewrite[1]] : [pathname, `${pathname.replace(/\/$/, "")}.html`, path.posix.join(pathname, "index.html")];
+
+    for (const candidate of candidates) {
+        const file = path.join(ROOT, candidate);
+        if (!file.startsWith(ROOT + path.sep)) continue;
+        if (path.relative(ROOT, file).split(path.sep).some((segment) => segment.startsWith("."))) continue;
+        if (await isFile(file)) return file;
+    }
+    return "";
+};
+
+const runFunction = async (name, request, response, url) => {
+    const file = path.join(ROOT, "netlify", "functions", `${name}.js`);
+    if (!(await isFile(file))) {
+        response.writeHead(404, { "Content-Type": TYPES[".json"] });
+        response.end(JSON.stringify({ error: "not_found", message: `No function named "${name}"` }));
+        return;
+    }
+
+    const { handler } = require(file);
+    const result = await handler({
+        httpMethod: request.method,
+        path: url.pathname,
+        headers: { ...request.headers, "x-nf-client-connection-ip": request.socket.remoteAddress },
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        body: await readBody(request),
+        isBase64Encoded: false,
+    });
+
+    response.writeHead(result.statusCode, result.headers);
+    response.end(result.body);
+};
+
+const serveFile = async (request, response, url) => {
+    const file = await resolveFile(decodeURIComponent(url.pathname));
+    const target = file || path.join(ROOT, "404.html");
+
+    response.writeHead(file ? 200 : 404, {
+        "Content-Type": TYPES[path.extname(target)] || "application/octet-stream",
+        "Cache-Control": "no-cache",
+    });
+    response.end(request.method === "HEAD" ? undefined : await fs.readFile(target));
+};
+
+const main = () => {
+    const options = args();
+    const port = Number(options.port) || 8888;
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host || "localhost"}`);
+        const fn = url.pathname.match(FUNCTION_ROUTE);
+
+        try {
+            if (fn) await runFunction(fn[1], request, response, url);
+            else await serveFile(request, response, url);
+        } catch (error) {
+            console.error(`[Dev] ${request.method} ${url.pathname}`, error);
+            if (!response.headersSent) response.writeHead(500, { "Content-Type": TYPES[".txt"] });
+            response.end("Internal server error");
+        }
+
+        console.log(`[Dev] ${request.method} ${url.pathname} ${response.statusCode}`);
+    });
+
+    server.listen(port, () => console.log(`[Dev] Serving ${ROOT} at http://localhost:${port}`));
+};
+
+main();
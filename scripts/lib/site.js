@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Shared helpers for the Node build scripts.
+ * @description Loads js/app.js in a sandbox so build output uses the same schema, template and SEO
+ * functions as the live client, and provides small HTML rewriting helpers for the page shells.
+ */
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const FIXTURES = path.join(ROOT, "scripts", "fixtures");
+
+const args = (argv = process.argv.slice(2)) => argv.reduce((options, arg, index) => {
+    if (!arg.startsWith("--")) return options;
+    const [key, inline] = arg.slice(2).split("=");
+    const next = argv[index + 1];
+    options[key] = inline ?? (next && !next.startsWith("--") ? next : true);
+    return options;
+}, {});
+
+const loadSite = async () => {
+    const [config, messages, app] = await Promise.all([
+        fs.readFile(path.join(ROOT, "js", "site-config.js"), "utf8"),
+        fs.readFile(path.join(ROOT, "js", "messages.js"), "utf8"),
+        fs.readFile(path.join(ROOT, "js", "app.js"), "utf8"),
+    ]);
+
+    const window = {
+        REFLEX_PRERENDER: true,
+        location: new URL("https://reflexinteractive.com/"),
+        addEventListener: () => {},
+    };
+    const context = vm.createContext({
+        window,
+        document: { readyState: "complete", addEventListener: () => {} },
+        navigator: { userAgent: "node", language: "en-GB", languages: ["en-GB"] },
+        console,
+        URL,
+        URLSearchParams,
+        Intl,
+    });
+
+    vm.runInContext(config, context, { filename: "js/site-config.js" });
+    vm.runInContext(messages, context, { filename: "js/messages.js" });
+    window.location = new URL(window.REFLEX_SITE_CONFIG?.urls?.site || "https://reflexinteractive.com");
+    vm.runInContext(app, context, { filename: "js/app.js" });
+
+    if (!window.ReflexSite) throw new Error("js/app.js did not expose its prerender API");
+    return window.ReflexSite;
+};
+
+const readJSON = async (source) => {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await fetch(source, { headers: { Accept: "application/json" } });
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${source}`);
+        return response.json();
+    }
+    return JSON.parse(await fs.readFile(path.resolve(source), "utf8"));
+};
+
+// A feed that cannot be read fails the build, so a content outage never deploys a site with its
+// detail pages missing and the previous deploy stays live. --allow-empty builds without it instead.
+const readFeed = async (label, source, { allowEmpty = false } = {}) => {
+    try {
+        return await readJSON(source);
+    } catch (error) {
+        if (!allowEmpty) throw new Error(`${label} feed unavailable (${source}): ${error.message}`);
+        console.warn(`[Build] ${label} feed unavailable (${source}): ${error.message}; continuing with --allow-empty`);
+        return [];
+    }
+};
+
+const feedSources = (options, site) => ({
+    games: options.games || (options.fixtures ? path.join(FIXTURES, "games.json") : site.CONFIG.api.games),
+    news: options.news || (options.fixtures ? path.join(FIXTURES, "news.json") : site.CONFIG.api.news),
+});
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const html = {
+    escape: (value = "") => String(value).replace(/[&<>"']/g, (char) => ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+    }[char])),
+
+    title: (source, value) => source.replace(/<title([^>]*)>[\s\S]*?<\/title>/, (match, attrs) => `<title${attrs}>${html.escape(value)}</title>`),
+
+    meta: (source, attr, key, value) => {
+        if (!value) return source;
+        const pattern = new RegExp(`(<meta\\b[^>]*\\b${attr}="${escapeRegExp(key)}"[^>]*\\bcontent=")[^"]*(")`);
+        return source.replace(pattern, (match, start, end) => `${start}${html.escape(value)}${end}`);
+    },
+
+    canonical: (source, value) => source.replace(/(<link\b[^>]*\brel="canonical"[^>]*\bhref=")[^"]*(")/, (match, start, end) => `${start}${html.escape(value)}${end}`),
+
+    // Swaps the shell's hreflang links for the given set, written directly after the canonical link.
+    alternates: (source, links) => {
+        const canonical = /^([ \t]*)<link\b[^>]*\brel="canonical"[^>]*>\n/m;
+        return source
+            .replace(/^[ \t]*<link\b[^>]*\bhreflang="[^"]*"[^>]*>\n/gm, "")
+            .replace(canonical, (match, indent) => `${match}${links
+                .map(({ hreflang, href }) => `${indent}<link rel="alternate" hreflang="${html.escape(hreflang)}" href="${html.escape(href)}">\n`)
+                .join("")}`);
+    },
+
+    jsonLd: (source, id, payload) => {
+        const pattern = new RegExp(`(<script\\b[^>]*\\bid="${escapeRegExp(id)}"[^>]*>)[\\s\\S]*?(</script>)`);
+        const text = JSON.stringify(payload, null, 2).replace(/</g, "\\u003c");
+        return source.replace(pattern, (match, start, end) => `${start}\n${text}\n    ${end}`);
+    },
+
+    readJsonLd: (source, id) => {
+        const match = source.match(new RegExp(`<script\\b[^>]*\\bid="${escapeRegExp(id)}"[^>]*>([\\s\\S]*?)</script>`));
+        try {
+            return JSON.parse(match?.[1] || "{}");
+        } catch {
+            return {};
+        }
+    },
+
+    inner: (source, id, content) => {
+        const pattern = new RegExp(`(<([a-z0-9]+)\\b[^>]*\\bid="${escapeRegExp(id)}"[^>]*>)[\\s\\S]*?(</\\2>)`, "i");
+        return source.replace(pattern, (match, start, tag, end) => `${start}${content}${end}`);
+    },
+
+    attr: (source, id, name, value) => {
+        const pattern = new RegExp(`<[a-z0-9]+\\b[^>]*\\bid="${escapeRegExp(id)}"[^>]*>`, "i");
+        return source.replace(pattern, (tag) => {
+            const attribute = new RegExp(`\\s${escapeRegExp(name)}="[^"]*"`);
+            const replacement = ` ${name}="${html.escape(value)}"`;
+            return attribute.test(tag) ? tag.replace(attribute, replacement) : tag.replace(/\s*(\/?)>$/, `${replacement}$1>`);
+        });
+    },
+};
+
+const write = async (file, contents) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, contents);
+};
+
+module.exports = {
+    ROOT,
+    args,
+    feedSources,
+    html,
+    loadSite,
+    readFeed,
+    readJSON,
+    write,
+};
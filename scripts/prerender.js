@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Static pre-rendering for game and Newswire detail pages.
+ * @description Writes one HTML file per game and article with metadata, structured data and body
+ * content baked in, so link unfurlers see the real page without running JavaScript.
+ *
+ * Usage: node scripts/prerender.js [--fixtures] [--games <file|url>] [--news <file|url>] [--out <dir>] [--allow-empty]
+ */
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ROOT, args, feedSources, html, loadSite, readFeed, write } = require("./lib/site");
+
+const applyPage = (source, page) => {
+    let output = html.title(source, page.title);
+    output = html.canonical(output, page.url);
+    output = html.alternates(output, page.alternates);
+    page.tags.forEach(({ attr, key, value }) => {
+        output = html.meta(output, attr, key, value);
+    });
+    return output;
+};
+
+const renderImage = (source, site, id, url, alt, options) => {
+    const { src, srcset, sizes } = site.media.attrs(url, options);
+    let output = html.attr(source, id, "src", src);
+    output = html.attr(output, id, "alt", alt);
+    return srcset ? html.attr(html.attr(output, id, "srcset", srcset), id, "sizes", sizes) : output;
+};
+
+const renderAccess = (source, site, game, access) => {
+    const { text, href = "#", disabled = false, external = false } = access.cta;
+    let output = html.inner(source, "game-access-btn", `\n                                ${site.utils.escape(text)}\n                            `);
+    output = html.attr(output, "game-access-btn", "href", disabled ? "#" : href);
+    output = html.attr(output, "game-access-btn", "aria-label", disabled ? site.i18n.t("access.unavailableLabel", { title: game.title }) : `${text}: ${game.title}`);
+    output = html.attr(output, "game-access-btn", "data-access", access.status);
+    if (disabled) return output;
+
+    output = html.attr(output, "game-access-btn", "class", "btn btn-danger w-100 py-3 fw-bold");
+    output = output.replace(/(<a\b[^>]*\bid="game-access-btn"[^>]*?)\s+aria-disabled="true"/, "$1");
+    return external ? html.attr(html.attr(output, "game-access-btn", "target", "_blank"), "game-access-btn", "rel", "noopener") : output;
+};
+
+const renderGame = (shell, site, game) => {
+    const page = site.seo.game(game);
+    let output = applyPage(shell, { ...page, tags: site.seo.tags(page), alternates: site.i18n.alternates(page.url) });
+
+    output = html.jsonLd(output, "game-json-ld", { ...html.readJsonLd(shell, "game-json-ld"), ...page.jsonLd });
+    output = html.inner(output, "game-hero-media", site.templates.gameHero(game));
+    output = renderImage(output, site, "game-detail-cover", game.image_url, page.imageAlt, { width: 600, sizes: site.media.sizes.cover, crop: site.media.crops.cover });
+    output = html.inner(output, "game-detail-title", site.utils.escape(game.title));
+    output = html.inner(output, "game-detail-developer", site.utils.escape(game.developer));
+    output = html.inner(output, "game-detail-publisher", site.utils.escape(game.publisher));
+    output = html.inner(output, "game-detail-genre", site.utils.escape(game.genre));
+    output = html.inner(output, "game-detail-description", site.utils.escape(game.description));
+    output = html.inner(output, "game-detail-price", site.utils.escape(page.access.label));
+    output = renderAccess(output, site, game, page.access);
+    output = html.inner(output, "game-detail-screenshots", site.templates.gameMedia(game));
+    return output;
+};
+
+const renderArticle = (shell, site, article) => {
+    const page = site.seo.article(article);
+    let output = applyPage(shell, { ...page, tags: site.seo.tags(page), alternates: site.i18n.alternates(page.url) });
+
+    output = html.jsonLd(output, "news-schema", page.jsonLd);
+    output = renderImage(output, site, "article-image", article.image_url, page.imageAlt, { width: 1400, sizes: site.media.sizes.article });
+    output = html.inner(output, "article-title", site.utils.escape(article.title));
+    // Static pages outlive "3 days ago", so they always carry the full date.
+    output = html.inner(output, "article-date", site.utils.escape(site.dates.format(article.date)));
+    if (site.dates.iso(article.date)) output = html.attr(output, "article-date", "datetime", site.dates.iso(article.date));
+    output = html.inner(output, "article-content", site.markdown.render(article.content));
+    return output;
+};
+
+const outputPath = (out, site, page, item) => {
+    const pathname = decodeURIComponent(site.utils.detailPath(page, item));
+    return path.join(out, `${pathname.replace(/^\//, "")}.html`);
+};
+
+const main = async () => {
+    const options = args();
+    const site = await loadSite();
+    const out = path.resolve(options.out || ROOT);
+    const sources = feedSources(options, site);
+
+    const [rawGames, rawNews, gameShell, articleShell] = await Promise.all([
+        readFeed("games", sources.games, { allowEmpty: Boolean(options["allow-empty"]) }),
+        readFeed("news", sources.news, { allowEmpty: Boolean(options["allow-empty"]) }),
+        fs.readFile(path.join(ROOT, "game-details.html"), "utf8"),
+        fs.readFile(path.join(ROOT, "newswire-details.html"), "utf8"),
+    ]);
+
+    const games = site.schema.games(rawGames);
+    const articles = site.schema.news(rawNews);
+
+    await Promise.all([
+        ...games.map((game) => write(outputPath(out, site, "game-details", game), renderGame(gameShell, site, game))),
+        ...articles.map((article) => write(outputPath(out, site, "newswire-details", article), renderArticle(articleShell, site, article))),
+    ]);
+
+    console.log(`[Prerender] ${games.length} game page(s) and ${articles.length} article page(s) written to ${path.relative(ROOT, out) || "."}`);
+};
+
+main().catch((error) => {
+    console.error("[Prerender]", error);
+    process.exitCode = 1;
+});
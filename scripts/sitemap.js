@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Sitemap and Newswire syndication feed generator.
+ * @description Builds sitemap.xml from the static pages plus every game and Newswire article, and
+ * writes RSS 2.0 (rss.xml) and Atom (atom.xml) feeds for the Newswire.
+ *
+ * Usage: node scripts/sitemap.js [--fixtures] [--games <file|url>] [--news <file|url>] [--out <dir>] [--allow-empty]
+ */
+"use strict";
+
+const path = require("node:path");
+const { ROOT, args, feedSources, html, loadSite, readFeed, write } = require("./lib/site");
+
+const STATIC_PAGES = [
+    { path: "/", changefreq: "weekly", priority: "1.00", feeds: ["games", "news"] },
+    { path: "/games", changefreq: "weekly", priority: "0.90", feeds: ["games"] },
+    { path: "/newswire", changefreq: "weekly", priority: "0.90", feeds: ["news"] },
+    { path: "/about", changefreq: "monthly", priority: "0.70", feeds: [] },
+    { path: "/launcher", changefreq: "weekly", priority: "0.70", feeds: [] },
+    { path: "/support", changefreq: "monthly", priority: "0.60", feeds: [] },
+];
+
+const FEED_TITLE = "Reflex Interactive Newswire";
+const FEED_DESCRIPTION = "Studio updates, release notes, and announcements from Reflex Interactive.";
+
+const timestamp = (site, item = {}) => [item.updated, item.date, item.release_date]
+    .map((value) => site.dates.parse(value)?.getTime())
+    .find((value) => value !== undefined);
+
+const newest = (site, items) => items.map((item) => timestamp(site, item)).filter((value) => value !== undefined).sort((a, b) => b - a)[0];
+
+const iso = (value) => (value === undefined ? "" : new Date(value).toISOString());
+
+const cdata = (value = "") => `<![CDATA[${String(value).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const sitemap = (site, feeds) => {
+    const entry = ({ loc, lastmod, changefreq, priority }) => [
+        "  <url>",
+        `    <loc>${html.escape(loc)}</loc>`,
+        lastmod ? `    <lastmod>${lastmod}</lastmod>` : "",
+        `    <changefreq>${changefreq}</changefreq>`,
+        `    <priority>${priority}</priority>`,
+        "  </url>",
+    ].filter(Boolean).join("\n");
+
+    const entries = [
+        ...STATIC_PAGES.map((page) => ({
+            loc: `${site.CONFIG.siteUrl}${page.path}`,
+            lastmod: iso(newest(site, page.feeds.flatMap((name) => feeds[name]))),
+            changefreq: page.changefreq,
+            priority: page.priority,
+        })),
+        ...feeds.games.map((game) => ({
+            loc: `${site.CONFIG.siteUrl}${site.utils.detailPath("game-details", game)}`,
+            lastmod: iso(timestamp(site, game)),
+            changefreq: "monthly",
+            priority: "0.80",
+        })),
+        ...feeds.news.map((article) => ({
+            loc: `${site.CONFIG.siteUrl}${site.utils.detailPath("newswire-details", article)}`,
+            lastmod: iso(timestamp(site, article)),
+            changefreq: "yearly",
+            priority: "0.70",
+        })),
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        entries.map(entry).join("\n\n"),
+        "</urlset>",
+        "",
+    ].join("\n");
+};
+
+const rss = (site, articles, updated) => {
+    const link = `${site.CONFIG.siteUrl}${site.CONFIG.routes.newswire}`;
+    const items = articles.map((article) => {
+        const url = `${site.CONFIG.siteUrl}${site.utils.detailPath("newswire-details", article)}`;
+        const published = timestamp(site, article);
+        return [
+            "    <item>",
+            `      <title>${html.escape(article.title)}</title>`,
+            `      <link>${html.escape(url)}</link>`,
+            `      <guid isPermaLink="true">${html.escape(url)}</guid>`,
+            published === undefined ? "" : `      <pubDate>${new Date(published).toUTCString()}</pubDate>`,
+            `      <description>${html.escape(article.summary)}</description>`,
+            `      <content:encoded>${cdata(site.markdown.render(article.content))}</content:encoded>`,
+            article.image_url ? `      <media:content url="${html.escape(site.utils.normalizeMedia(article.image_url, 1200))}" medium="image" />` : "",
+            "    </item>",
+        ].filter(Boolean).join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">',
+        "  <channel>",
+        `    <title>${FEED_TITLE}</title>`,
+        `    <link>${html.escape(link)}</link>`,
+        `    <description>${FEED_DESCRIPTION}</description>`,
+        `    <language>${site.CONFIG.locale.toLowerCase()}</language>`,
+        `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${html.escape(`${site.CONFIG.siteUrl}/rss.xml`)}" rel="self" type="application/rss+xml" />`,
+        ...items,
+        "  </channel>",
+        "</rss>",
+        "",
+    ].join("\n");
+};
+
+const atom = (site, articles, updated) => {
+    const link = `${site.CONFIG.siteUrl}${site.CONFIG.routes.newswire}`;
+    const entries = articles.map((article) => {
+        const url = `${site.CONFIG.siteUrl}${site.utils.detailPath("newswire-details", article)}`;
+        const published = iso(timestamp(site, article)) || iso(updated);
+        return [
+            "  <entry>",
+            `    <id>${html.escape(url)}</id>`,
+            `    <title>${html.escape(article.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${html.escape(url)}" />`,
+            `    <published>${published}</published>`,
+            `    <updated>${published}</updated>`,
+            `    <summary>${html.escape(article.summary)}</summary>`,
+            `    <content type="html">${html.escape(site.markdown.render(article.content))}</content>`,
+            "  </entry>",
+        ].join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${site.CONFIG.locale.toLowerCase()}">`,
+        `  <id>${html.escape(link)}</id>`,
+        `  <title>${FEED_TITLE}</title>`,
+        `  <subtitle>${FEED_DESCRIPTION}</subtitle>`,
+        `  <updated>${iso(updated)}</updated>`,
+        `  <link rel="alternate" type="text/html" href="${html.escape(link)}" />`,
+        `  <link rel="self" type="application/atom+xml" href="${html.escape(`${site.CONFIG.siteUrl}/atom.xml`)}" />`,
+        "  <author>",
+        "    <name>Reflex Interactive</name>",
+        `    <uri>${html.escape(site.CONFIG.siteUrl)}</uri>`,
+        "  </author>",
+        ...entries,
+        "</feed>",
+        "",
+    ].join("\n");
+};
+
+const main = async () => {
+    const options = args();
+    const site = await loadSite();
+    const out = path.resolve(options.out || ROOT);
+    const sources = feedSources(options, site);
+
+    const [rawGames, rawNews] = await Promise.all([
+        readFeed("games", sources.games, { allowEmpty: Boolean(options["allow-empty"]) }),
+        readFeed("news", sources.news, { allowEmpty: Boolean(options["allow-empty"]) }),
+    ]);
+
+    const feeds = {
+        games: site.utils.newestFirst(site.schema.games(rawGames)),
+        news: site.utils.newestFirst(site.schema.news(rawNews)),
+    };
+    const updated = newest(site, feeds.news) ?? Date.now();
+
+    await Promise.all([
+        write(path.join(out, "sitemap.xml"), sitemap(site, feeds)),
+        write(path.join(out, "rss.xml"), rss(site, feeds.news, updated)),
+        write(path.join(out, "atom.xml"), atom(site, feeds.news, updated)),
+    ]);
+
+    console.log(`[Sitemap] ${STATIC_PAGES.length + feeds.games.length + feeds.news.length} URL(s) and ${feeds.news.length} feed entr${feeds.news.length === 1 ? "y" : "ies"} written to ${path.relative(ROOT, out) || "."}`);
+};
+
+main().catch((error) => {
+    console.error("[Sitemap]", error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Reflex Interactive Service Worker
+ * @description Precaches the site shell and serves an offline page when a navigation cannot reach the
+ * network. Content feeds are left alone: the page's own content store (data/store in js/app.js) keeps the
+ * last known copy and says how old it is, so the worker must not answer for them.
+ */
+"use strict";
+
+const VERSION = new URL(self.location.href).searchParams.get("v") || "dev";
+
+const CACHES = {
+    shell: `reflex-shell-${VERSION}`,
+};
+
+const OWN_CACHES = ["reflex-shell-", "reflex-feeds-"];
+
+const OFFLINE_PAGE = "/offline.html";
+
+const PRECACHE = [
+    "/",
+    "/index.html",
+    "/about.html",
+    "/games.html",
+    "/game-details.html",
+    "/newswire.html",
+    "/newswire-details.html",
+    "/search.html",
+    "/launcher.html",
+    "/support.html",
+    "/privacy.html",
+    "/tos.html",
+    OFFLINE_PAGE,
+    "/css/styles.css",
+    "/js/site-config.js",
+    "/js/messages.js",
+    "/js/app.js",
+    "/components/navbar.html",
+    "/components/footer.html",
+    "https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css",
+];
+
+const SHELLS = {
+    "/": "/index.html",
+    "/about": "/about.html",
+    "/games": "/games.html",
+    "/game-details": "/game-details.html",
+    "/newswire": "/newswire.html",
+    "/newswire-details": "/newswire-details.html",
+    "/search": "/search.html",
+    "/launcher": "/launcher.html",
+    "/support": "/support.html",
+    "/privacy": "/privacy.html",
+    "/tos": "/tos.html",
+};
+
+const STATIC_HOSTS = ["cdn.jsdelivr.net"];
+
+const DETAIL_SHELLS = {
+    "/games": SHELLS["/game-details"],
+    "/newswire": SHELLS["/newswire-details"],
+};
+
+const shellFor = (url) => {
+    const path = url.pathname.replace(/\.html$/, "").replace(/\/$/, "") || "/";
+    if (path === "/index") return SHELLS["/"];
+    const [, base = ""] = path.match(/^(\/[^/]+)\/[^/]+$/) || [];
+    return SHELLS[path] || DETAIL_SHELLS[base] || "";
+};
+
+const strategies = {
+    page: async (request) => {
+        const shell = shellFor(new URL(request.url));
+
+        try {
+            const response = await fetch(request);
+            if (response.ok && shell) {
+                const cache = await caches.open(CACHES.shell);
+                await cache.put(shell, response.clone());
+            }
+            return response;
+        } catch {
+            const cache = await caches.open(CACHES.shell);
+            return (shell && await cache.match(shell))
+                || await cache.match(OFFLINE_PAGE)
+                || Response.error();
+        }
+    },
+
+    asset: async (event) => {
+        const cache = await caches.open(CACHES.shell);
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        const network = fetch(event.request)
+            .then(async (response) => {
+                if (response.ok) await cache.put(event.request, response.clone());
+                return response;
+            });
+
+        if (!cached) return network;
+        event.waitUntil(network.catch(() => undefined));
+        return cached;
+    },
+};
+
+self.addEventListener("install", (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHES.shell);
+        await cache.addAll(PRECACHE.map((url) => new Request(url, { cache: "reload" })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        // Only the worker's own caches: the page keeps its content store under another reflex- name.
+        // reflex-feeds- caches were written by earlier releases of this worker.
+        const current = Object.values(CACHES);
+        await Promise.all(keys
+            .filter((key) => OWN_CACHES.some((prefix) => key.startsWith(prefix)) && !current.includes(key))
+            .map((key) => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === "navigate") {
+        event.respondWith(strategies.page(request));
+        return;
+    }
+
+    const sameOriginAsset = url.origin === self.location.origin && /^\/(css|js|components)\//.test(url.pathname);
+    if (sameOriginAsset || STATIC_HOSTS.includes(url.hostname)) {
+        event.respondWith(strategies.asset(event));
+    }
+});